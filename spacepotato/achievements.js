@@ -0,0 +1,160 @@
+// Achievements: what they are, and progress towards them saved between sessions.
+//
+// Each achievement listens for one game event. Whenever that event happens
+// and `when` (if given) accepts its data, progress goes up by one; reaching
+// `goal` (default 1) unlocks it. Progress carries over from run to run.
+//
+// Events and their data:
+//   enemyKilled       { type, cause } - type is the enemy type or 'boss',
+//                     cause is 'shot', 'shield', 'bomb' or 'grenade'
+//   powerupCollected  { type }
+//   levelUp           { level, damageTaken } - damage taken during the level
+//                     just cleared
+//   gameOver          { score, seconds, level, accuracy, shotsFired }
+const ACHIEVEMENTS = [
+  {
+    id: 'firstKill',
+    name: "Spud Launcher",
+    description: "Destroy your first enemy",
+    event: 'enemyKilled'
+  },
+  {
+    id: 'firstBoss',
+    name: "Mashed",
+    description: "Defeat a boss",
+    event: 'enemyKilled',
+    when: e => e.type === 'boss'
+  },
+  {
+    id: 'zigzagHunter',
+    name: "Straight Shooter",
+    description: "Destroy 100 zigzag enemies",
+    event: 'enemyKilled',
+    when: e => e.type === 'zigzag',
+    goal: 100
+  },
+  {
+    id: 'shieldRammer',
+    name: "Hash Browns",
+    description: "Ram 10 enemies to pieces with the shield",
+    event: 'enemyKilled',
+    when: e => e.cause === 'shield',
+    goal: 10
+  },
+  {
+    id: 'flawlessLevel5',
+    name: "Not a Scratch",
+    description: "Clear level 5 without taking damage",
+    event: 'levelUp',
+    when: e => e.level === 6 && e.damageTaken === 0
+  },
+  {
+    id: 'powerupCollector',
+    name: "Fully Loaded",
+    description: "Collect 50 powerups",
+    event: 'powerupCollected',
+    goal: 50
+  },
+  {
+    id: 'survivor',
+    name: "Long Shelf Life",
+    description: "Survive for 5 minutes in one run",
+    event: 'gameOver',
+    when: e => e.seconds >= 300
+  },
+  {
+    id: 'sharpshooter',
+    name: "Eagle Eye",
+    description: "End a run with 50% accuracy after at least 100 shots",
+    event: 'gameOver',
+    when: e => e.shotsFired >= 100 && e.accuracy >= 0.5
+  }
+];
+
+class AchievementTracker {
+  constructor(storage) {
+    this.storage = storage;
+    this.progress = {}; // By achievement id: { count, unlocked (date or null) }
+    for (const achievement of ACHIEVEMENTS) {
+      this.progress[achievement.id] = { count: 0, unlocked: null };
+    }
+    this.load();
+  }
+  
+  // Count an event towards every achievement listening for it. Returns the
+  // achievements it unlocked.
+  handleEvent(event, data = {}) {
+    const unlocked = [];
+    let changed = false;
+    
+    for (const achievement of ACHIEVEMENTS) {
+      const progress = this.progress[achievement.id];
+      if (progress.unlocked || achievement.event !== event) continue;
+      if (achievement.when && !achievement.when(data)) continue;
+      
+      progress.count++;
+      changed = true;
+      if (progress.count >= AchievementTracker.goal(achievement)) {
+        progress.unlocked = new Date().toISOString().split('T')[0];
+        unlocked.push(achievement);
+      }
+    }
+    
+    if (changed) {
+      this.save();
+    }
+    return unlocked;
+  }
+  
+  isUnlocked(id) {
+    return this.progress[id].unlocked !== null;
+  }
+  
+  // Fraction of the way to unlocking, from 0 to 1
+  getProgress(id) {
+    const achievement = ACHIEVEMENTS.find(a => a.id === id);
+    return Math.min(1, this.progress[id].count / AchievementTracker.goal(achievement));
+  }
+  
+  get unlockedCount() {
+    return ACHIEVEMENTS.filter(a => this.isUnlocked(a.id)).length;
+  }
+  
+  load() {
+    if (!this.storage) return;
+    
+    try {
+      const saved = JSON.parse(this.storage.getItem('spacePotatoAchievements'));
+      if (!saved) return;
+      
+      // Achievements that no longer exist are ignored
+      for (const id in this.progress) {
+        const entry = saved[id];
+        if (!entry || typeof entry !== 'object') continue;
+        
+        if (Number.isInteger(entry.count) && entry.count >= 0) {
+          this.progress[id].count = entry.count;
+        }
+        if (typeof entry.unlocked === 'string') {
+          this.progress[id].unlocked = entry.unlocked;
+        }
+      }
+    } catch (e) {
+      logger.warn('storage', "Error loading achievements:", e);
+    }
+  }
+  
+  save() {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem('spacePotatoAchievements', JSON.stringify(this.progress));
+    } catch (e) {
+      logger.warn('storage', "Error saving achievements:", e);
+    }
+  }
+  
+  static goal(achievement) {
+    return achievement.goal || 1;
+  }
+}
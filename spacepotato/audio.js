@@ -0,0 +1,324 @@
+// Sound effects synthesized with p5.sound.
+//
+// Effects are declared as data in SOUND_BANK and played by name through the
+// SoundManager, which owns the voices and the master/SFX/music volume mix.
+
+// Registered sound definitions by name
+const SOUND_BANK = {};
+
+const SOUND_WAVES = ['sine', 'square', 'triangle', 'sawtooth', 'noise'];
+
+// Add a sound effect. Fields (times are in seconds):
+//   name                     - id passed to SoundManager.play()
+//   wave                     - sine, square, triangle, sawtooth or noise
+//   noise                    - white, pink or brown (for the noise wave)
+//   freq                     - starting pitch in Hz
+//   freqEnd                  - pitch to sweep to, or null for a steady pitch
+//   sweep                    - length of the pitch sweep
+//   steps                    - optional list of pitches played in turn,
+//                              stepTime apart (for little jingles)
+//   attack, decay, sustain,  - envelope; sustain is a fraction of volume,
+//   hold, release              held for `hold` before the release
+//   volume                   - peak amplitude before the mixer is applied
+//   voices                   - how many copies can sound at once
+//   channel                  - sfx or music
+function registerSound(definition) {
+  const sound = Object.assign({
+    wave: 'sine',
+    noise: 'white',
+    freq: 440,
+    freqEnd: null,
+    sweep: 0.1,
+    steps: null,
+    stepTime: 0.1,
+    attack: 0.01,
+    decay: 0.1,
+    sustain: 0,
+    hold: 0,
+    release: 0.1,
+    volume: 0.1,
+    voices: 4,
+    channel: 'sfx'
+  }, definition);
+  
+  if (!SOUND_WAVES.includes(sound.wave)) {
+    throw new Error(`Sound ${sound.name} uses unknown wave: ${sound.wave}`);
+  }
+  if (sound.channel !== 'sfx' && sound.channel !== 'music') {
+    throw new Error(`Sound ${sound.name} uses unknown channel: ${sound.channel}`);
+  }
+  
+  SOUND_BANK[sound.name] = sound;
+  return sound;
+}
+
+// Plays sounds from the bank. Each sound gets a small pool of voices so
+// overlapping plays layer instead of cutting each other off; when every voice
+// is busy the oldest one is reused.
+class SoundManager {
+  constructor(storage) {
+    this.storage = storage;
+    this.enabled = false;
+    this.voices = {}; // Voice pools by sound name, created on first play
+    
+    this.volumes = { master: 0.8, sfx: 1, music: 0.6 };
+    this.muted = { master: false, sfx: false, music: false };
+    this.loadVolumes();
+  }
+  
+  // Start synthesizing. Returns false if p5.sound isn't usable.
+  init() {
+    try {
+      this.enabled = typeof p5 !== 'undefined' && typeof p5.Oscillator === 'function';
+      if (this.enabled) {
+        outputVolume(this.volumes.master);
+      }
+    } catch (e) {
+      logger.warn('audio', "Sound initialization failed, disabling sound:", e);
+      this.enabled = false;
+    }
+    return this.enabled;
+  }
+  
+  // Play a sound from the bank. Options: freq to override the pitch (for
+  // music notes) and volume as an extra multiplier.
+  play(name, options = {}) {
+    if (!this.enabled) return;
+    
+    const sound = SOUND_BANK[name];
+    if (!sound) {
+      logger.warn('audio', `Unknown sound: ${name}`);
+      return;
+    }
+    if (this.muted.master || this.muted[sound.channel]) return;
+    
+    const volume = sound.volume * (options.volume !== undefined ? options.volume : 1) *
+                   this.volumes[sound.channel];
+    if (volume <= 0) return;
+    
+    try {
+      const voice = this.nextVoice(sound);
+      const freq = options.freq !== undefined ? options.freq : sound.freq;
+      
+      // Pitch: a steady note, a sweep or a sequence of steps
+      if (sound.wave !== 'noise') {
+        voice.source.freq(freq);
+        if (sound.steps) {
+          sound.steps.forEach((step, i) => voice.source.freq(step * freq / sound.freq, 0, i * sound.stepTime));
+        } else if (sound.freqEnd !== null) {
+          voice.source.freq(sound.freqEnd * freq / sound.freq, sound.sweep);
+        }
+      }
+      
+      voice.envelope.setADSR(sound.attack, sound.decay, sound.sustain, sound.release);
+      voice.envelope.setRange(volume, 0);
+      voice.envelope.play(voice.source, 0, this.getSustainTime(sound));
+    } catch (e) {
+      logger.warn('audio', "Error playing sound, disabling sound:", e);
+      this.enabled = false;
+    }
+  }
+  
+  // How long a sound holds before releasing
+  getSustainTime(sound) {
+    const stepsTime = sound.steps ? sound.steps.length * sound.stepTime : 0;
+    return Math.max(sound.hold, stepsTime - sound.attack - sound.decay, 0);
+  }
+  
+  nextVoice(sound) {
+    let pool = this.voices[sound.name];
+    if (!pool) {
+      pool = this.voices[sound.name] = { list: [], next: 0 };
+    }
+    
+    if (pool.list.length < sound.voices) {
+      const source = sound.wave === 'noise' ? new p5.Noise(sound.noise) : new p5.Oscillator(sound.wave);
+      source.amp(0);
+      source.start();
+      pool.list.push({ source: source, envelope: new p5.Envelope() });
+    }
+    
+    // Round robin, so the voice reused is always the oldest one
+    const voice = pool.list[pool.next % pool.list.length];
+    pool.next = (pool.next + 1) % sound.voices;
+    return voice;
+  }
+  
+  getVolume(channel) {
+    return this.volumes[channel];
+  }
+  
+  // Set master, sfx or music volume (0 to 1) and remember it
+  setVolume(channel, value) {
+    if (!(channel in this.volumes)) return;
+    
+    this.volumes[channel] = clamp(Math.round(value * 10) / 10, 0, 1);
+    if (channel === 'master' && this.enabled) {
+      outputVolume(this.volumes.master, 0.05);
+    }
+    this.saveVolumes();
+  }
+  
+  isMuted(channel) {
+    return this.muted[channel];
+  }
+  
+  // Mute or unmute a channel without losing its volume setting
+  toggleMute(channel) {
+    if (!(channel in this.muted)) return;
+    
+    this.muted[channel] = !this.muted[channel];
+    this.saveVolumes();
+  }
+  
+  loadVolumes() {
+    if (!this.storage) return;
+    
+    try {
+      const saved = JSON.parse(this.storage.getItem('spacePotatoVolume'));
+      if (saved) {
+        for (const channel in this.volumes) {
+          if (Number.isFinite(saved[channel])) {
+            this.volumes[channel] = clamp(saved[channel], 0, 1);
+          }
+          if (saved.muted) {
+            this.muted[channel] = saved.muted[channel] === true;
+          }
+        }
+      }
+    } catch (e) {
+      logger.warn('storage', "Error loading volume settings:", e);
+    }
+  }
+  
+  saveVolumes() {
+    if (!this.storage) return;
+    
+    try {
+      const settings = Object.assign({ muted: this.muted }, this.volumes);
+      this.storage.setItem('spacePotatoVolume', JSON.stringify(settings));
+    } catch (e) {
+      logger.warn('storage', "Error saving volume settings:", e);
+    }
+  }
+}
+
+// Player's french fry
+registerSound({
+  name: 'shoot',
+  wave: 'square',
+  freq: 400,
+  freqEnd: 300,
+  sweep: 0.15,
+  attack: 0.01,
+  decay: 0.15,
+  release: 0.05,
+  volume: 0.1,
+  voices: 6
+});
+
+// Rising swoop of a lobbed grenade
+registerSound({
+  name: 'grenadeThrow',
+  wave: 'triangle',
+  freq: 250,
+  freqEnd: 600,
+  sweep: 0.2,
+  attack: 0.01,
+  decay: 0.2,
+  release: 0.05,
+  volume: 0.12,
+  voices: 2
+});
+
+registerSound({
+  name: 'enemyShoot',
+  wave: 'sawtooth',
+  freq: 700,
+  freqEnd: 250,
+  sweep: 0.12,
+  attack: 0.005,
+  decay: 0.12,
+  release: 0.05,
+  volume: 0.06,
+  voices: 6
+});
+
+registerSound({
+  name: 'explosion',
+  wave: 'noise',
+  noise: 'brown',
+  attack: 0.01,
+  decay: 0.4,
+  release: 0.2,
+  volume: 0.25,
+  voices: 6
+});
+
+registerSound({
+  name: 'playerHit',
+  wave: 'square',
+  freq: 220,
+  freqEnd: 80,
+  sweep: 0.3,
+  attack: 0.005,
+  decay: 0.3,
+  release: 0.1,
+  volume: 0.15,
+  voices: 2
+});
+
+registerSound({
+  name: 'powerup',
+  wave: 'sine',
+  freq: 600,
+  steps: [600, 800],
+  stepTime: 0.1,
+  attack: 0.01,
+  decay: 0.05,
+  sustain: 0.8,
+  release: 0.2,
+  volume: 0.1,
+  voices: 2
+});
+
+registerSound({
+  name: 'levelUp',
+  wave: 'triangle',
+  freq: 523,
+  steps: [523, 659, 784, 1047],
+  stepTime: 0.09,
+  attack: 0.01,
+  decay: 0.05,
+  sustain: 0.8,
+  release: 0.3,
+  volume: 0.15,
+  voices: 1
+});
+
+registerSound({
+  name: 'shieldBreak',
+  wave: 'triangle',
+  freq: 1200,
+  freqEnd: 300,
+  sweep: 0.25,
+  attack: 0.005,
+  decay: 0.25,
+  release: 0.1,
+  volume: 0.12,
+  voices: 1
+});
+
+registerSound({
+  name: 'gameOver',
+  wave: 'sawtooth',
+  freq: 392,
+  steps: [392, 330, 262, 196],
+  stepTime: 0.25,
+  attack: 0.02,
+  decay: 0.1,
+  sustain: 0.7,
+  release: 0.6,
+  volume: 0.12,
+  voices: 1
+});
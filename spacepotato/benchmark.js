@@ -0,0 +1,84 @@
+// Collision benchmark: a crowded scene run with the spatial grid and again
+// with brute-force checks, to show what the broadphase saves.
+//
+//   node benchmark.js [--enemies 400] [--projectiles 600] [--ticks 300]
+//
+// Enemies are too tough to die and the player can't be hurt, so the scene
+// stays full for the whole run. Both runs must end in the same state.
+
+const { loadSimulation, createGame, getState } = require('./headless');
+
+const args = process.argv.slice(2);
+const option = (flag, fallback) => {
+  const index = args.indexOf(flag);
+  return index !== -1 && args[index + 1] ? parseInt(args[index + 1], 10) : fallback;
+};
+
+const ENEMIES = option('--enemies', 400);
+const PROJECTILES = option('--projectiles', 600);
+const TICKS = option('--ticks', 300);
+const WIDTH = 1600;
+const HEIGHT = 1200;
+
+// A game full of enemies with no waves, spawning or level ups to get in the way
+function createScene(simulation) {
+  const { Enemy } = simulation;
+  const game = createGame({ simulation: simulation, seed: 1234, width: WIDTH, height: HEIGHT, waves: null });
+  
+  game.enemySpawnRate = Infinity;
+  game.DIFFICULTY_INCREASE = Infinity;
+  for (const player of game.players) {
+    player.isInvulnerable = true;
+    player.invulnerabilityTimer = Infinity;
+  }
+  
+  for (let i = 0; i < ENEMIES; i++) {
+    const enemy = new Enemy(game, game.rng.random(WIDTH), game.rng.random(HEIGHT * 0.8), 'basic');
+    enemy.health = Infinity;
+    game.enemies.push(enemy);
+  }
+  return game;
+}
+
+// Keep the screen full of shots rising from the bottom
+function topUpProjectiles(game) {
+  while (game.projectiles.length < PROJECTILES) {
+    const x = game.rng.random(WIDTH);
+    const y = HEIGHT - game.rng.random(HEIGHT);
+    game.projectiles.push(game.projectilePool.acquire(x, y, game.rng.random(-2, 2), -10));
+  }
+}
+
+// Milliseconds per tick, and the final state
+function run(simulation, broadphase) {
+  const game = createScene(simulation);
+  if (broadphase) {
+    game.playerGrid = broadphase();
+    game.projectileGrid = broadphase();
+  }
+  
+  let elapsed = 0;
+  for (let tick = 0; tick < TICKS; tick++) {
+    topUpProjectiles(game);
+    const start = process.hrtime.bigint();
+    game.step();
+    elapsed += Number(process.hrtime.bigint() - start) / 1e6;
+  }
+  
+  return { msPerTick: elapsed / TICKS, state: getState(game), hits: game.stats.shotsHit };
+}
+
+const simulation = loadSimulation();
+console.log(`${ENEMIES} enemies, ${PROJECTILES} projectiles, ${TICKS} ticks`);
+
+const grid = run(simulation, null);
+const bruteForce = run(simulation, () => new simulation.BruteForceBroadphase());
+
+console.log(`Spatial grid: ${grid.msPerTick.toFixed(3)} ms/tick`);
+console.log(`Brute force:  ${bruteForce.msPerTick.toFixed(3)} ms/tick`);
+console.log(`Speedup:      ${(bruteForce.msPerTick / grid.msPerTick).toFixed(1)}x (${grid.hits} hits)`);
+
+if (JSON.stringify(grid.state) !== JSON.stringify(bruteForce.state) || grid.hits !== bruteForce.hits) {
+  console.error("Results differ between the grid and brute force!");
+  process.exitCode = 1;
+}
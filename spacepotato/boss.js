@@ -0,0 +1,239 @@
+// Phases of a boss fight, from full health down. A phase applies while the
+// boss's health fraction is above healthAbove; attacks are used in order,
+// one every `cooldown` ticks.
+const BOSS_PHASES = [
+  { healthAbove: 0.66, attacks: ['spread'], cooldown: 100, spreadCount: 5, color: [180, 60, 40] },
+  { healthAbove: 0.33, attacks: ['spread', 'summon'], cooldown: 80, spreadCount: 7, color: [210, 110, 30] },
+  { healthAbove: 0, attacks: ['spread', 'charge', 'summon', 'spread'], cooldown: 60, spreadCount: 9, color: [230, 40, 90] }
+];
+
+// A large multi-phase enemy that shows up at level milestones
+class Boss {
+  constructor(game, number) {
+    this.game = game;
+    this.number = number; // 1 for the first boss of the run, 2 for the second...
+    
+    // Position and physics - enters from the top of the screen
+    this.size = 110;
+    this.hitboxSize = this.size * 0.9;
+    this.pos = new Vector2(game.width / 2, -this.size);
+    this.vel = new Vector2(0, 0);
+    this.hoverY = game.height * 0.2;
+    
+    // Health scales with each boss encountered
+    this.maxHealth = 40 + (number - 1) * 20;
+    this.health = this.maxHealth;
+    this.scoreValue = 5000 * number;
+    
+    // Attack state
+    this.state = 'entering'; // entering, fighting, windup, charging, returning
+    this.phaseIndex = 0;
+    this.attackIndex = 0;
+    this.attackTimer = 60;
+    this.stateTimer = 0;
+    this.chargeTarget = null;
+    this.contactCooldown = 0;
+    
+    // Animation
+    this.hitFlash = 0;
+    this.swayOffset = game.rng.random(Math.PI * 2);
+  }
+  
+  get phase() {
+    return BOSS_PHASES[this.phaseIndex];
+  }
+  
+  get color() {
+    return this.phase.color;
+  }
+  
+  update() {
+    if (this.hitFlash > 0) this.hitFlash--;
+    if (this.contactCooldown > 0) this.contactCooldown--;
+    
+    switch (this.state) {
+      case 'entering':
+        // Drop in to hover height before attacking
+        this.pos.y += 1.5;
+        if (this.pos.y >= this.hoverY) {
+          this.pos.y = this.hoverY;
+          this.state = 'fighting';
+        }
+        break;
+      
+      case 'fighting':
+        this.hover();
+        this.attackTimer--;
+        if (this.attackTimer <= 0) {
+          this.attack();
+        }
+        break;
+      
+      case 'windup':
+        // Telegraph the charge so the player can dodge
+        this.stateTimer--;
+        if (this.stateTimer <= 0) {
+          const direction = Vector2.sub(this.chargeTarget, this.pos).normalize();
+          this.vel = direction.mult(12);
+          this.state = 'charging';
+        }
+        break;
+      
+      case 'charging':
+        this.pos.add(this.vel);
+        
+        // Stop once past the target or about to leave the playfield
+        if (Vector2.sub(this.chargeTarget, this.pos).mag() < 20 ||
+            this.pos.y > this.game.height - this.size / 2 ||
+            this.pos.x < this.size / 2 || this.pos.x > this.game.width - this.size / 2) {
+          this.vel.set(0, 0);
+          this.state = 'returning';
+        }
+        break;
+      
+      case 'returning': {
+        // Drift back to hover height
+        const toHome = new Vector2(0, this.hoverY - this.pos.y);
+        if (toHome.mag() < 4) {
+          this.pos.y = this.hoverY;
+          this.state = 'fighting';
+        } else {
+          this.pos.add(toHome.normalize().mult(4));
+        }
+        break;
+      }
+    }
+  }
+  
+  // Sway side to side across the top of the playfield
+  hover() {
+    const range = this.game.width * 0.3;
+    const targetX = this.game.width / 2 + Math.sin(this.game.tick * 0.01 + this.swayOffset) * range;
+    this.pos.x += (targetX - this.pos.x) * 0.05;
+  }
+  
+  attack() {
+    const phase = this.phase;
+    const attack = phase.attacks[this.attackIndex % phase.attacks.length];
+    this.attackIndex++;
+    this.attackTimer = phase.cooldown;
+    
+    switch (attack) {
+      case 'spread':
+        this.fireSpread(phase.spreadCount);
+        break;
+      case 'summon':
+        this.summonMinions(this.phaseIndex + 1);
+        break;
+      case 'charge':
+        this.startCharge();
+        break;
+    }
+  }
+  
+  // Fan of bullets aimed at the player
+  fireSpread(count) {
+    const toPlayer = Vector2.sub(this.game.getNearestPlayer(this.pos).pos, this.pos);
+    const baseAngle = toPlayer.heading();
+    const arc = Math.PI / 3;
+    
+    for (let i = 0; i < count; i++) {
+      const angle = baseAngle - arc / 2 + arc * (i / (count - 1));
+      const velocity = Vector2.fromAngle(angle, 4);
+      this.game.enemyProjectiles.push(this.game.enemyProjectilePool.acquire(
+        this.pos.x, this.pos.y + this.size * 0.3,
+        velocity.x, velocity.y,
+        this.color
+      ));
+    }
+    
+    this.game.createExplosion(this.pos.x, this.pos.y + this.size * 0.3, 8, 8, this.color);
+    this.game.playSound("enemyShoot");
+  }
+  
+  // Call in zigzag minions from the boss's flanks
+  summonMinions(count) {
+    for (let i = 0; i < count; i++) {
+      const side = i % 2 === 0 ? -1 : 1;
+      const x = this.pos.x + side * (this.size * 0.6 + i * 15);
+      const minion = new Enemy(this.game, x, this.pos.y, 'zigzag', this.game.level);
+      this.game.enemies.push(minion);
+      this.game.createExplosion(x, this.pos.y, 8, 15, ENEMY_TYPES.zigzag.color);
+    }
+  }
+  
+  startCharge() {
+    this.chargeTarget = this.game.getNearestPlayer(this.pos).pos.copy();
+    this.stateTimer = 45;
+    this.state = 'windup';
+  }
+  
+  takeDamage(amount) {
+    this.health -= amount;
+    this.hitFlash = 5;
+    
+    // Move to the next phase once health drops below its threshold
+    const fraction = this.health / this.maxHealth;
+    while (this.phaseIndex < BOSS_PHASES.length - 1 && fraction <= this.phase.healthAbove) {
+      this.phaseIndex++;
+      this.attackIndex = 0;
+      this.game.createExplosion(this.pos.x, this.pos.y, 25, this.size * 0.5, this.color);
+      this.game.applyScreenShake(8, 15);
+    }
+  }
+  
+  isDefeated() {
+    return this.health <= 0;
+  }
+  
+  display() {
+    push();
+    translate(this.pos.x, this.pos.y);
+    
+    // Shake while winding up a charge
+    if (this.state === 'windup') {
+      translate(random(-3, 3), random(-3, 3));
+    }
+    
+    const bodyColor = this.hitFlash > 0 ? [255, 255, 255] : this.color;
+    noStroke();
+    
+    // Charge telegraph glow
+    if (this.state === 'windup' || this.state === 'charging') {
+      fill(255, 60, 60, 90);
+      ellipse(0, 0, this.size * 1.5);
+    }
+    
+    // Saucer rim
+    fill(bodyColor[0] * 0.6, bodyColor[1] * 0.6, bodyColor[2] * 0.6);
+    ellipse(0, this.size * 0.15, this.size * 1.4, this.size * 0.5);
+    
+    // Main body
+    fill(bodyColor);
+    ellipse(0, 0, this.size, this.size * 0.8);
+    
+    // Lights around the rim
+    for (let i = 0; i < 8; i++) {
+      const lightX = map(i, 0, 7, -this.size * 0.6, this.size * 0.6);
+      const on = (floor(frameCount / 8) + i) % 2 === 0;
+      fill(on ? color(255, 240, 120) : color(120, 100, 60));
+      ellipse(lightX, this.size * 0.2, 8);
+    }
+    
+    // Eyes
+    fill(255);
+    ellipse(-this.size * 0.18, -this.size * 0.1, this.size * 0.22, this.size * 0.18);
+    ellipse(this.size * 0.18, -this.size * 0.1, this.size * 0.22, this.size * 0.18);
+    fill(0);
+    ellipse(-this.size * 0.16, -this.size * 0.08, this.size * 0.1);
+    ellipse(this.size * 0.16, -this.size * 0.08, this.size * 0.1);
+    
+    // Angry brows
+    stroke(0);
+    strokeWeight(4);
+    line(-this.size * 0.3, -this.size * 0.25, -this.size * 0.08, -this.size * 0.17);
+    line(this.size * 0.3, -this.size * 0.25, this.size * 0.08, -this.size * 0.17);
+    
+    pop();
+  }
+}
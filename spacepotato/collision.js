@@ -0,0 +1,91 @@
+// Broadphase for collision checks.
+//
+// Entities are dropped into the cells of a uniform grid that their hitbox
+// touches; a query only looks at the cells around the point asked about, so
+// each check is against a handful of nearby entities instead of all of them.
+// The grid only narrows down candidates - callers still do the exact test.
+class SpatialGrid {
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Cell key -> entries in that cell
+    this.count = 0; // Entities inserted since the last clear
+    this.queryStamp = 0;
+  }
+  
+  clear() {
+    this.cells.clear();
+    this.count = 0;
+  }
+  
+  // Add an entity covering a circle. Entities come back from queries in the
+  // order they were inserted.
+  insert(item, x, y, radius) {
+    const entry = { item: item, order: this.count++, stamp: 0 };
+    this.forEachCell(x, y, radius, key => {
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = [];
+        this.cells.set(key, cell);
+      }
+      cell.push(entry);
+    });
+  }
+  
+  // Every entity that might touch a circle, in insertion order
+  query(x, y, radius) {
+    const stamp = ++this.queryStamp;
+    const found = [];
+    
+    this.forEachCell(x, y, radius, key => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      
+      for (const entry of cell) {
+        // Big entities sit in several cells; only report them once
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        found.push(entry);
+      }
+    });
+    
+    // Found cell by cell, so put them back in order
+    if (found.length > 1) {
+      found.sort((a, b) => a.order - b.order);
+    }
+    return found.map(entry => entry.item);
+  }
+  
+  forEachCell(x, y, radius, callback) {
+    const size = this.cellSize;
+    const minX = Math.floor((x - radius) / size);
+    const maxX = Math.floor((x + radius) / size);
+    const minY = Math.floor((y - radius) / size);
+    const maxY = Math.floor((y + radius) / size);
+    
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        callback(cx * 65536 + cy);
+      }
+    }
+  }
+}
+
+// Same interface with no partitioning: every query returns everything. The
+// benchmark compares the grid against this.
+class BruteForceBroadphase {
+  constructor() {
+    this.items = [];
+  }
+  
+  clear() {
+    this.items = [];
+  }
+  
+  insert(item) {
+    this.items.push(item);
+  }
+  
+  query() {
+    return this.items.slice();
+  }
+}
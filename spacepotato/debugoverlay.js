@@ -0,0 +1,180 @@
+// In-game debug overlay, toggled with F3 or the backquote key.
+//
+// Draws every hitbox and velocity over the playfield, and a panel with entity
+// counts, FPS and frame-time graphs and what the spawner is doing. Only reads
+// game state, so turning it on never changes a run.
+class DebugOverlay {
+  constructor(game) {
+    this.game = game;
+    this.enabled = false;
+    
+    // Real time between frames in ms, oldest first, for the graphs
+    this.frameTimes = [];
+    this.HISTORY = 120; // Frames the graphs cover
+    this.GRAPH_WIDTH = 240;
+    this.GRAPH_HEIGHT = 40;
+  }
+  
+  toggle() {
+    this.enabled = !this.enabled;
+    logger.info('debug', `Debug overlay ${this.enabled ? "on" : "off"}`);
+  }
+  
+  // Called every frame with the real elapsed time, even while hidden, so the
+  // graphs are already full when it's turned on
+  recordFrame(elapsed) {
+    this.frameTimes.push(elapsed);
+    if (this.frameTimes.length > this.HISTORY) {
+      this.frameTimes.shift();
+    }
+  }
+  
+  display() {
+    if (!this.enabled) return;
+    
+    push();
+    rectMode(CORNER);
+    if (this.game.gameState === this.game.GAME_PLAYING || this.game.gameState === this.game.GAME_REPLAY) {
+      this.displayEntities();
+    }
+    this.displayPanel();
+    pop();
+  }
+  
+  // Hitbox circles (hitboxSize is a diameter) and velocity vectors, scaled up
+  // so slow movers still show a line
+  displayEntities() {
+    const game = this.game;
+    const groups = [
+      { entities: game.players.filter(p => !p.isDown), color: [80, 255, 120] },
+      { entities: game.enemies, color: [255, 80, 80] },
+      { entities: game.enemyProjectiles, color: [255, 160, 60] },
+      { entities: game.projectiles, color: [255, 255, 120] },
+      { entities: game.powerups, color: [120, 200, 255] },
+      { entities: game.grenades, color: [240, 225, 180] },
+      { entities: game.boss ? [game.boss] : [], color: [255, 80, 255] }
+    ];
+    
+    strokeWeight(1);
+    for (const group of groups) {
+      for (const entity of group.entities) {
+        stroke(...group.color);
+        noFill();
+        circle(entity.pos.x, entity.pos.y, entity.hitboxSize);
+        
+        if (entity.vel) {
+          stroke(255);
+          line(entity.pos.x, entity.pos.y, entity.pos.x + entity.vel.x * 8, entity.pos.y + entity.vel.y * 8);
+        }
+      }
+    }
+  }
+  
+  displayPanel() {
+    const lines = this.getInfoLines();
+    const graphWidth = this.GRAPH_WIDTH;
+    const graphHeight = this.GRAPH_HEIGHT;
+    const x = width - graphWidth - 20;
+    let y = 50;
+    
+    // Backing so the text reads over the game
+    noStroke();
+    fill(0, 0, 0, 170);
+    rect(x - 10, y - 10, graphWidth + 20, lines.length * 16 + graphHeight * 2 + 50);
+    
+    textAlign(LEFT, TOP);
+    textSize(12);
+    fill(220);
+    for (const info of lines) {
+      text(info, x, y);
+      y += 16;
+    }
+    
+    y += 10;
+    this.displayFrameTimeGraph(x, y, graphWidth, graphHeight);
+    y += graphHeight + 20;
+    this.displayFpsGraph(x, y, graphWidth, graphHeight);
+  }
+  
+  getInfoLines() {
+    const game = this.game;
+    const ms = this.frameTimes.length > 0 ? this.frameTimes[this.frameTimes.length - 1] : 0;
+    
+    return [
+      `FPS ${Math.round(frameRate())}  frame ${ms.toFixed(1)} ms  tick ${game.tick}`,
+      `Enemies ${game.enemies.length}  enemy shots ${game.enemyProjectiles.length}`,
+      `Shots ${game.projectiles.length}  grenades ${game.grenades.length}  powerups ${game.powerups.length}`,
+      `Particles ${game.particles.length}/${game.particleBudget}`,
+      ...this.getSpawnLines()
+    ];
+  }
+  
+  // What's deciding the next spawn: the boss, a scripted wave or the random spawner
+  getSpawnLines() {
+    const game = this.game;
+    const director = game.waveDirector;
+    const lines = [`Level ${game.level}  next in ${game.DIFFICULTY_INCREASE - game.difficultyTimer} ticks`];
+    
+    if (game.boss) {
+      const boss = game.boss;
+      lines.push(`Boss ${boss.number}: ${boss.state}, phase ${boss.phaseIndex + 1}, ${Math.ceil(boss.health)}/${boss.maxHealth} HP`);
+    } else if (director && !director.endless) {
+      if (director.breakTimer > 0) {
+        lines.push(`${director.getLabel()}: break, ${director.breakTimer} ticks`);
+      } else {
+        lines.push(`${director.getLabel()}: ${director.schedule.length} to spawn, tick ${director.waveTimer}`);
+      }
+    } else {
+      const interval = Math.round(game.enemySpawnRate * game.getDifficulty().spawnInterval);
+      lines.push(`Random spawns: ${game.enemySpawnCounter}/${interval} ticks`);
+    }
+    return lines;
+  }
+  
+  // Bars of the time each frame took, with lines at 60 and 30 FPS
+  displayFrameTimeGraph(x, y, w, h) {
+    const maxMs = 50;
+    this.displayGraphFrame(x, y, w, h, "Frame time (ms)");
+    
+    stroke(80, 255, 120, 120);
+    for (const ms of [1000 / 60, 1000 / 30]) {
+      const lineY = y + h - (ms / maxMs) * h;
+      line(x, lineY, x + w, lineY);
+    }
+    
+    const barWidth = w / this.HISTORY;
+    noStroke();
+    this.frameTimes.forEach((ms, i) => {
+      const barHeight = Math.min(ms, maxMs) / maxMs * h;
+      fill(ms > 1000 / 30 ? color(255, 80, 80) : color(255, 220, 100));
+      rect(x + i * barWidth, y + h - barHeight, Math.max(1, barWidth - 0.5), barHeight);
+    });
+  }
+  
+  displayFpsGraph(x, y, w, h) {
+    const maxFps = 120;
+    this.displayGraphFrame(x, y, w, h, "FPS");
+    
+    const step = w / this.HISTORY;
+    noFill();
+    stroke(120, 200, 255);
+    beginShape();
+    this.frameTimes.forEach((ms, i) => {
+      const fps = ms > 0 ? Math.min(1000 / ms, maxFps) : maxFps;
+      vertex(x + i * step, y + h - (fps / maxFps) * h);
+    });
+    endShape();
+  }
+  
+  displayGraphFrame(x, y, w, h, label) {
+    noStroke();
+    fill(220);
+    textAlign(LEFT, BOTTOM);
+    textSize(11);
+    text(label, x, y - 2);
+    
+    noFill();
+    stroke(100);
+    rect(x, y, w, h);
+  }
+}
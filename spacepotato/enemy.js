@@ -1,9 +1,20 @@
 class Enemy {
-  constructor(x, y, type = 'basic', level = 1) {
+  constructor(game, ...args) {
+    this.game = game;
+    this.pos = new Vector2();
+    this.vel = new Vector2();
+    this.acc = new Vector2();
+    this.reset(...args);
+  }
+  
+  // Set up as a fresh enemy
+  reset(x, y, type = 'basic', level = 1) {
+    const game = this.game;
+    
     // Position and physics
-    this.pos = createVector(x, y);
-    this.vel = createVector(0, 0);
-    this.acc = createVector(0, 0);
+    this.pos.set(x, y);
+    this.vel.set(0, 0);
+    this.acc.set(0, 0);
     
     // Enemy type and properties
     this.type = type;
@@ -11,81 +22,62 @@ class Enemy {
     this.setPropertiesByType(type, level);
     
     // Animation
-    this.animationOffset = random(TWO_PI);
-    this.animationSpeed = random(0.03, 0.08);
+    this.animationOffset = game.rng.random(Math.PI * 2);
+    this.animationSpeed = game.rng.random(0.03, 0.08);
     this.rotation = 0;
     this.pulseSize = 0;
     
     // Enemy behavior
     this.behaviorTimer = 0;
-    this.behaviorDuration = floor(random(60, 120));
-    this.targetX = random(width * 0.2, width * 0.8);
-    this.targetY = random(height * 0.2, height * 0.6);
+    this.behaviorDuration = Math.floor(game.rng.random(60, 120));
+    this.targetX = game.rng.random(game.width * 0.2, game.width * 0.8);
+    this.targetY = game.rng.random(game.height * 0.2, game.height * 0.6);
     
-    // Shooting (for shooter type)
+    // Shooting (for types that shoot)
     this.shootCooldown = 0;
-    this.shootCooldownMax = floor(random(90, 120) / this.level);  // Faster shooting at higher levels
+    this.shootCooldownMax = Math.floor(game.rng.random(90, 120) / this.level);  // Faster shooting at higher levels
+    
+    // Scripted waves set these: the wave this enemy belongs to and its entry path
+    this.wave = null;
+    this.entryPath = null;
   }
   
   setPropertiesByType(type, level) {
+    // Look up the type's definition in the registry
+    let definition = ENEMY_TYPES[type];
+    if (!definition) {
+      logger.warn('enemy', `Unknown enemy type: ${type}, using basic`);
+      definition = ENEMY_TYPES.basic;
+    }
+    this.definition = definition;
+    
     // Base stats that get modified by type
     let baseSize = 35;
     let baseSpeed = 2;
-    let baseColor = color(150, 0, 0);
     let scoreValue = 100;
     
-    // Apply level scaling (except health which is handled per type)
+    // Apply level scaling (health comes straight from the definition)
     baseSpeed = baseSpeed * (1 + (level - 1) * 0.1);
     scoreValue = scoreValue * level;
     
-    // Set properties based on type
-    switch(type) {
-      case 'basic':
-        // Default enemy - moderate stats, moves in patterns
-        this.health = 1; // Always just 1 health (easy to kill)
-        this.size = baseSize;
-        this.maxSpeed = baseSpeed;
-        this.color = color(200, 50, 50);
-        this.scoreValue = scoreValue;
-        this.hitboxSize = this.size * 1.0;
-        break;
-      
-      case 'shooter':
-        // Ranged enemy - 2 health, shoots projectiles
-        this.health = 2; // Always 2 health as requested
-        this.size = baseSize * 0.9;
-        this.maxSpeed = baseSpeed * 0.8;
-        this.color = color(50, 100, 200);
-        this.scoreValue = scoreValue * 1.5;
-        this.hitboxSize = this.size * 1.0;
-        this.canShoot = true;
-        break;
-      
-      case 'bomber':
-        // Tanky enemy - more health, slower, worth more points
-        this.health = 3; // Always 3 health (tanky)
-        this.size = baseSize * 1.3;
-        this.maxSpeed = baseSpeed * 0.6;
-        this.color = color(100, 50, 150);
-        this.scoreValue = scoreValue * 2;
-        this.hitboxSize = this.size * 1.0;
-        break;
-      
-      case 'zigzag':
-        // Fast, erratic enemy - hard to hit but only 1 health
-        this.health = 1; // Always 1 health (fragile but fast)
-        this.size = baseSize * 0.7;
-        this.maxSpeed = baseSpeed * 1.5;
-        this.color = color(50, 200, 100);
-        this.scoreValue = scoreValue * 1.2;
-        this.hitboxSize = this.size * 1.0;
-        break;
-    }
+    this.health = definition.health;
+    this.size = baseSize * definition.size;
+    this.maxSpeed = baseSpeed * definition.speed * this.game.getDifficulty().enemySpeed;
+    this.color = this.game.getEnemyColor(definition);
+    this.scoreValue = scoreValue * definition.score;
+    this.hitboxSize = this.size * 1.0;
+    this.canShoot = definition.shoots !== null;
     
-    console.log(`Created ${type} enemy with hitboxSize: ${this.hitboxSize}, health: ${this.health}`);
+    logger.debug('enemy', () => `Created ${type} enemy with hitboxSize: ${this.hitboxSize}, health: ${this.health}`);
   }
   
   update() {
+    // Scripted entry from a wave takes over until the path is finished
+    if (this.entryPath) {
+      this.followEntryPath();
+      return;
+    }
+    
     // Update behavior timer
     this.behaviorTimer++;
     if (this.behaviorTimer >= this.behaviorDuration) {
@@ -93,20 +85,12 @@ class Enemy {
       this.behaviorTimer = 0;
     }
     
-    // Apply behavior based on type
-    switch(this.type) {
-      case 'basic':
-        this.basicBehavior();
-        break;
-      case 'shooter':
-        this.shooterBehavior();
-        break;
-      case 'bomber':
-        this.bomberBehavior();
-        break;
-      case 'zigzag':
-        this.zigzagBehavior();
-        break;
+    // Apply the type's movement behavior
+    ENEMY_BEHAVIORS[this.definition.behavior].update(this);
+    
+    // Shoot at player if this type can
+    if (this.canShoot) {
+      this.updateShooting();
     }
     
     // Apply physics
@@ -118,144 +102,74 @@ class Enemy {
     // Update animation
     this.updateAnimation();
     
-    // Update shooting cooldown for shooter type
-    if (this.type === 'shooter' && this.shootCooldown > 0) {
+    // Update shooting cooldown
+    if (this.canShoot && this.shootCooldown > 0) {
       this.shootCooldown--;
     }
   }
   
-  // Different movement patterns for each enemy type
-  basicBehavior() {
-    // Move towards target with slight sine wave pattern
-    const direction = p5.Vector.sub(createVector(this.targetX, this.targetY), this.pos);
-    direction.normalize();
-    direction.mult(0.2);
+  followEntryPath() {
+    const path = this.entryPath;
+    path.elapsed++;
+    const point = ENTRY_PATHS[path.name](path, this.game);
     
-    // Add slight sine wave to movement
-    direction.x += sin(frameCount * 0.02 + this.animationOffset) * 0.05;
+    // Keep moving the way the path was heading once it hands over
+    this.vel.set(point.x - this.pos.x, point.y - this.pos.y).limit(this.maxSpeed);
+    this.pos.set(point.x, point.y);
+    this.updateAnimation();
     
-    this.acc.add(direction);
+    if (point.done) {
+      this.entryPath = null;
+    }
   }
   
-  shooterBehavior() {
-    // Move to position and stay at distance
-    const toPlayer = p5.Vector.sub(game.player.pos, this.pos);
-    const distToPlayer = toPlayer.mag();
+  updateShooting() {
+    const toPlayer = Vector2.sub(this.game.getNearestPlayer(this.pos).pos, this.pos);
     
-    // Try to maintain distance from player
-    const idealDistance = 250;
-    if (distToPlayer < idealDistance * 0.8) {
-      // Too close, back away
-      toPlayer.normalize();
-      toPlayer.mult(-0.2);
-      this.acc.add(toPlayer);
-    } else if (distToPlayer > idealDistance * 1.2) {
-      // Too far, move closer
-      toPlayer.normalize();
-      toPlayer.mult(0.1);
-      this.acc.add(toPlayer);
-    } else {
-      // At good distance, strafe side to side
-      const strafeDir = createVector(-toPlayer.y, toPlayer.x);
-      strafeDir.normalize();
-      strafeDir.mult(sin(frameCount * 0.03 + this.animationOffset) * 0.2);
-      this.acc.add(strafeDir);
-    }
-    
-    // Shoot at player if cooldown is ready
-    if (this.shootCooldown <= 0 && distToPlayer < 400) {
+    // Shoot at player if cooldown is ready and player is in range
+    if (this.shootCooldown <= 0 && toPlayer.mag() < this.definition.shoots.range) {
       this.shoot(toPlayer);
       this.shootCooldown = this.shootCooldownMax;
     }
   }
   
-  bomberBehavior() {
-    // Move directly towards player with increasing speed
-    const toPlayer = p5.Vector.sub(game.player.pos, this.pos);
-    toPlayer.normalize();
-    
-    // Gradually increase acceleration as they get closer
-    const distToPlayer = dist(this.pos.x, this.pos.y, game.player.pos.x, game.player.pos.y);
-    const accelerationMultiplier = map(distToPlayer, 0, 400, 0.3, 0.05);
-    toPlayer.mult(accelerationMultiplier);
-    
-    this.acc.add(toPlayer);
-    
-    // Add slight wobble
-    this.acc.x += sin(frameCount * 0.1 + this.animationOffset) * 0.02;
-    this.acc.y += cos(frameCount * 0.1 + this.animationOffset) * 0.02;
-  }
-  
-  zigzagBehavior() {
-    // Erratic zigzag pattern toward player
-    const toPlayer = p5.Vector.sub(game.player.pos, this.pos);
-    toPlayer.normalize();
-    toPlayer.mult(0.15);
-    
-    // Add strong zigzag movement
-    const zigzagAmount = 0.5;
-    toPlayer.x += sin(frameCount * 0.1 + this.animationOffset) * zigzagAmount;
-    toPlayer.y += cos(frameCount * 0.08 + this.animationOffset) * zigzagAmount;
-    
-    this.acc.add(toPlayer);
-  }
-  
   changeBehavior() {
     // Set new behavior pattern
-    this.behaviorDuration = floor(random(60, 120));
+    this.behaviorDuration = Math.floor(this.game.rng.random(60, 120));
     
-    // Set new target position based on type
-    switch(this.type) {
-      case 'basic':
-        this.targetX = random(width * 0.1, width * 0.9);
-        this.targetY = random(height * 0.1, height * 0.7);
-        break;
-      case 'shooter':
-        // Shooters prefer to stay at mid range
-        this.targetX = random(width * 0.2, width * 0.8);
-        this.targetY = random(height * 0.2, height * 0.5);
-        break;
-      case 'bomber':
-        // Bombers aim directly for player
-        this.targetX = game.player.pos.x;
-        this.targetY = game.player.pos.y;
-        break;
-      case 'zigzag':
-        // Zigzags move erratically around the player
-        this.targetX = game.player.pos.x + random(-200, 200);
-        this.targetY = game.player.pos.y + random(-200, 200);
-        break;
-    }
+    // Set new target position based on behavior
+    ENEMY_BEHAVIORS[this.definition.behavior].retarget(this);
   }
   
   shoot(direction) {
     // Normalize direction and set velocity
     direction.normalize();
-    direction.mult(5); // Projectile speed
+    direction.mult(this.definition.shoots ? this.definition.shoots.speed : 5); // Projectile speed
     
     // Create enemy projectile with appropriate color
-    const enemyProjectile = new EnemyProjectile(
+    const enemyProjectile = this.game.enemyProjectilePool.acquire(
       this.pos.x, this.pos.y,
       direction.x, direction.y,
       this.color
     );
     
     // Add to game's enemy projectiles array
-    if (!game.enemyProjectiles) {
-      game.enemyProjectiles = [];
+    if (!this.game.enemyProjectiles) {
+      this.game.enemyProjectiles = [];
     }
-    game.enemyProjectiles.push(enemyProjectile);
+    this.game.enemyProjectiles.push(enemyProjectile);
     
     // Create small muzzle flash
-    game.createExplosion(this.pos.x, this.pos.y, 3, 5, this.color);
+    this.game.createExplosion(this.pos.x, this.pos.y, 3, 5, this.color);
+    this.game.playSound("enemyShoot");
   }
   
   updateAnimation() {
     // Update rotation
-    this.rotation = frameCount * 0.01 * (this.type === 'zigzag' ? 3 : 1);
+    this.rotation = this.game.tick * 0.01 * this.definition.spin;
     
     // Update pulse
-    this.pulseSize = sin(frameCount * this.animationSpeed + this.animationOffset) * 0.1;
+    this.pulseSize = Math.sin(this.game.tick * this.animationSpeed + this.animationOffset) * 0.1;
   }
   
   display() {
@@ -263,202 +177,46 @@ class Enemy {
     translate(this.pos.x, this.pos.y);
     rotate(this.rotation);
     
-    // Draw based on enemy type
-    switch(this.type) {
-      case 'basic':
-        this.drawBasicEnemy();
-        break;
-      case 'shooter':
-        this.drawShooterEnemy();
-        break;
-      case 'bomber':
-        this.drawBomberEnemy();
-        break;
-      case 'zigzag':
-        this.drawZigzagEnemy();
-        break;
-    }
-    
-    pop();
-  }
-  
-  drawBasicEnemy() {
-    // Main body
-    fill(this.color);
-    noStroke();
-    const currentSize = this.size * (1 + this.pulseSize);
-    ellipse(0, 0, currentSize);
-    
-    // Enemy features
-    fill(255, 100);
-    ellipse(0, 0, currentSize * 0.7);
-    
-    // Eyes
-    fill(255);
-    const eyeOffset = currentSize * 0.2;
-    ellipse(-eyeOffset, -eyeOffset, currentSize * 0.25);
-    ellipse(eyeOffset, -eyeOffset, currentSize * 0.25);
-    
-    // Angry pupils
-    fill(0);
-    ellipse(-eyeOffset, -eyeOffset, currentSize * 0.1);
-    ellipse(eyeOffset, -eyeOffset, currentSize * 0.1);
+    // Draw with the type's renderer
+    ENEMY_RENDERERS[this.definition.renderer](this);
     
-    // Angry mouth
-    stroke(0);
-    strokeWeight(2);
-    noFill();
-    arc(0, eyeOffset, currentSize * 0.4, currentSize * 0.2, PI, TWO_PI);
-  }
-  
-  drawShooterEnemy() {
-    // Triangle-shaped enemy with cannon
-    const currentSize = this.size * (1 + this.pulseSize);
-    
-    // Main body
-    fill(this.color);
-    noStroke();
-    triangle(
-      -currentSize/2, currentSize/2,
-      currentSize/2, currentSize/2,
-      0, -currentSize/2
-    );
-    
-    // Cannon/shooter part
-    fill(this.color.levels[0] * 0.7, this.color.levels[1] * 0.7, this.color.levels[2] * 0.7);
-    rect(-currentSize * 0.15, 0, currentSize * 0.3, currentSize * 0.6);
-    
-    // Eyes
-    fill(255);
-    const eyeOffset = currentSize * 0.15;
-    ellipse(-eyeOffset, -eyeOffset*0.5, currentSize * 0.15);
-    ellipse(eyeOffset, -eyeOffset*0.5, currentSize * 0.15);
-    
-    // Pupils
-    fill(0);
-    ellipse(-eyeOffset, -eyeOffset*0.5, currentSize * 0.07);
-    ellipse(eyeOffset, -eyeOffset*0.5, currentSize * 0.07);
-    
-    // Glow effect when about to shoot
-    if (this.shootCooldown < 15 && this.shootCooldown > 0) {
-      fill(255, 200, 0, map(this.shootCooldown, 15, 0, 0, 150));
-      ellipse(0, currentSize * 0.6, currentSize * 0.2, currentSize * 0.1);
-    }
-  }
-  
-  drawBomberEnemy() {
-    // Larger, chunky enemy
-    const currentSize = this.size * (1 + this.pulseSize);
-    
-    // Main body
-    fill(this.color);
-    noStroke();
-    
-    // Simple wobbling shape
-    push();
-    beginShape();
-    // Use simple polygon approach
-    for (let angle = 0; angle < TWO_PI; angle += PI/4) {
-      // Add some wobble with sine
-      const wobble = sin(frameCount * 0.05 + angle * 2) * 4;
-      const radius = currentSize/2 + wobble;
-      const x = cos(angle) * radius;
-      const y = sin(angle) * radius;
-      vertex(x, y);
-    }
-    endShape(CLOSE);
     pop();
-    
-    // Inner body detail
-    fill(this.color.levels[0] * 1.2, this.color.levels[1] * 1.2, this.color.levels[2] * 1.2);
-    ellipse(0, 0, currentSize * 0.7);
-    
-    // Glowing core
-    fill(255, 150, 0, 150 + sin(frameCount * 0.1) * 50);
-    ellipse(0, 0, currentSize * 0.4 + sin(frameCount * 0.2) * 5);
-    
-    // Eyes
-    fill(255);
-    const eyeOffset = currentSize * 0.15;
-    ellipse(-eyeOffset, -eyeOffset, currentSize * 0.2);
-    ellipse(eyeOffset, -eyeOffset, currentSize * 0.2);
-    
-    // Angry pupils
-    fill(255, 0, 0);
-    ellipse(-eyeOffset, -eyeOffset, currentSize * 0.1);
-    ellipse(eyeOffset, -eyeOffset, currentSize * 0.1);
-  }
-  
-  drawZigzagEnemy() {
-    // Small, fast-moving zigzagging enemy
-    const currentSize = this.size * (1 + this.pulseSize);
-    
-    // Dynamic rotation based on movement
-    rotate(this.vel.heading());
-    
-    // Main body (pointy)
-    fill(this.color);
-    noStroke();
-    beginShape();
-    vertex(currentSize * 0.6, 0); // Front tip
-    vertex(-currentSize * 0.3, currentSize * 0.4); // Bottom-right
-    vertex(-currentSize * 0.5, 0); // Back
-    vertex(-currentSize * 0.3, -currentSize * 0.4); // Top-right
-    endShape(CLOSE);
-    
-    // Trailing effect
-    for (let i = 1; i <= 3; i++) {
-      const alpha = map(i, 1, 3, 150, 0);
-      const offset = i * 10;
-      fill(this.color.levels[0], this.color.levels[1], this.color.levels[2], alpha);
-      
-      beginShape();
-      vertex(-currentSize * 0.3 - offset, currentSize * 0.25);
-      vertex(-currentSize * 0.5 - offset, 0);
-      vertex(-currentSize * 0.3 - offset, -currentSize * 0.25);
-      endShape(CLOSE);
-    }
-    
-    // Eye
-    fill(255);
-    ellipse(currentSize * 0.2, 0, currentSize * 0.25);
-    
-    // Pupil
-    fill(0);
-    ellipse(currentSize * 0.25, 0, currentSize * 0.12);
   }
   
   isOffscreen() {
+    // Formations start further above the screen than the usual buffer
+    if (this.entryPath) return false;
+    
     const buffer = this.size * 2;
     return (
       this.pos.x < -buffer || 
-      this.pos.x > width + buffer ||
+      this.pos.x > this.game.width + buffer ||
       this.pos.y < -buffer || 
-      this.pos.y > height + buffer
+      this.pos.y > this.game.height + buffer
     );
   }
   
   // Collision detection
   collidesWith(entity) {
-    const distance = dist(this.pos.x, this.pos.y, entity.pos.x, entity.pos.y);
+    const separation = distance(this.pos.x, this.pos.y, entity.pos.x, entity.pos.y);
     const combinedRadius = this.hitboxSize / 2 + entity.hitboxSize / 2;
-    return distance < combinedRadius;
+    return separation < combinedRadius;
   }
 }
 
 // Special class for enemy projectiles (different behavior than player projectiles)
 class EnemyProjectile extends Enemy {
-  constructor(x, y, vx, vy, enemyColor) {
-    super(x, y, 'basic', 1);
-    
-    // Override properties
-    this.vel = createVector(vx, vy);
+  // Same arguments as the constructor, minus the game. Pooled and reset for
+  // every shot, so it skips the enemy setup and its rng draws.
+  reset(x, y, vx, vy, enemyColor) {
+    this.pos.set(x, y);
+    this.vel.set(vx, vy);
+    this.rotation = 0;
     this.size = 10;
     this.hitboxSize = 8;
-    this.health = 1;
     this.damage = 1;
-    this.color = enemyColor || color(200, 50, 50);
-    this.scoreValue = 0; // No points for destroying these
+    this.color = enemyColor || [200, 50, 50];
+    this.entryPath = null; // Never part of a formation
   }
   
   update() {
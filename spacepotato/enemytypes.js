@@ -0,0 +1,377 @@
+// Enemy type registry.
+//
+// Each enemy type is declared as data: stats, color, spawn weights and the
+// names of the behavior and renderer it uses. Adding an enemy means calling
+// registerEnemyType() (and, if needed, adding a behavior or renderer below);
+// Enemy, Game.spawnEnemy and the help screen all read from the registry.
+
+// Movement behaviors. update() runs every tick and steers the enemy through
+// its acceleration; retarget() runs whenever the enemy's behavior timer expires.
+const ENEMY_BEHAVIORS = {
+  // Drift between random targets with a slight sine wave
+  wander: {
+    update(enemy) {
+      const direction = Vector2.sub(new Vector2(enemy.targetX, enemy.targetY), enemy.pos);
+      direction.normalize();
+      direction.mult(0.2);
+      
+      // Add slight sine wave to movement
+      direction.x += Math.sin(enemy.game.tick * 0.02 + enemy.animationOffset) * 0.05;
+      
+      enemy.acc.add(direction);
+    },
+    retarget(enemy) {
+      const game = enemy.game;
+      enemy.targetX = game.rng.random(game.width * 0.1, game.width * 0.9);
+      enemy.targetY = game.rng.random(game.height * 0.1, game.height * 0.7);
+    }
+  },
+  
+  // Hold a firing distance from the player and strafe
+  keepDistance: {
+    update(enemy) {
+      const toPlayer = Vector2.sub(enemy.game.getNearestPlayer(enemy.pos).pos, enemy.pos);
+      const distToPlayer = toPlayer.mag();
+      
+      // Try to maintain distance from player
+      const idealDistance = 250;
+      if (distToPlayer < idealDistance * 0.8) {
+        // Too close, back away
+        toPlayer.normalize();
+        toPlayer.mult(-0.2);
+        enemy.acc.add(toPlayer);
+      } else if (distToPlayer > idealDistance * 1.2) {
+        // Too far, move closer
+        toPlayer.normalize();
+        toPlayer.mult(0.1);
+        enemy.acc.add(toPlayer);
+      } else {
+        // At good distance, strafe side to side
+        const strafeDir = new Vector2(-toPlayer.y, toPlayer.x);
+        strafeDir.normalize();
+        strafeDir.mult(Math.sin(enemy.game.tick * 0.03 + enemy.animationOffset) * 0.2);
+        enemy.acc.add(strafeDir);
+      }
+    },
+    retarget(enemy) {
+      // Shooters prefer to stay at mid range
+      const game = enemy.game;
+      enemy.targetX = game.rng.random(game.width * 0.2, game.width * 0.8);
+      enemy.targetY = game.rng.random(game.height * 0.2, game.height * 0.5);
+    }
+  },
+  
+  // Head straight for the player, accelerating on approach
+  charge: {
+    update(enemy) {
+      const player = enemy.game.getNearestPlayer(enemy.pos);
+      const toPlayer = Vector2.sub(player.pos, enemy.pos);
+      toPlayer.normalize();
+      
+      // Gradually increase acceleration as they get closer
+      const distToPlayer = distance(enemy.pos.x, enemy.pos.y, player.pos.x, player.pos.y);
+      const accelerationMultiplier = mapRange(distToPlayer, 0, 400, 0.3, 0.05);
+      toPlayer.mult(accelerationMultiplier);
+      
+      enemy.acc.add(toPlayer);
+      
+      // Add slight wobble
+      enemy.acc.x += Math.sin(enemy.game.tick * 0.1 + enemy.animationOffset) * 0.02;
+      enemy.acc.y += Math.cos(enemy.game.tick * 0.1 + enemy.animationOffset) * 0.02;
+    },
+    retarget(enemy) {
+      // Aim directly for the player
+      const player = enemy.game.getNearestPlayer(enemy.pos);
+      enemy.targetX = player.pos.x;
+      enemy.targetY = player.pos.y;
+    }
+  },
+  
+  // Erratic zigzag pattern toward the player
+  zigzag: {
+    update(enemy) {
+      const toPlayer = Vector2.sub(enemy.game.getNearestPlayer(enemy.pos).pos, enemy.pos);
+      toPlayer.normalize();
+      toPlayer.mult(0.15);
+      
+      // Add strong zigzag movement
+      const zigzagAmount = 0.5;
+      toPlayer.x += Math.sin(enemy.game.tick * 0.1 + enemy.animationOffset) * zigzagAmount;
+      toPlayer.y += Math.cos(enemy.game.tick * 0.08 + enemy.animationOffset) * zigzagAmount;
+      
+      enemy.acc.add(toPlayer);
+    },
+    retarget(enemy) {
+      // Move erratically around the player
+      const game = enemy.game;
+      const player = game.getNearestPlayer(enemy.pos);
+      enemy.targetX = player.pos.x + game.rng.random(-200, 200);
+      enemy.targetY = player.pos.y + game.rng.random(-200, 200);
+    }
+  }
+};
+
+// Drawing functions, called with the canvas already translated and rotated
+// to the enemy
+const ENEMY_RENDERERS = {
+  basic(enemy) {
+    // Main body
+    fill(enemy.color);
+    noStroke();
+    const currentSize = enemy.size * (1 + enemy.pulseSize);
+    ellipse(0, 0, currentSize);
+    
+    // Enemy features
+    fill(255, 100);
+    ellipse(0, 0, currentSize * 0.7);
+    
+    // Eyes
+    fill(255);
+    const eyeOffset = currentSize * 0.2;
+    ellipse(-eyeOffset, -eyeOffset, currentSize * 0.25);
+    ellipse(eyeOffset, -eyeOffset, currentSize * 0.25);
+    
+    // Angry pupils
+    fill(0);
+    ellipse(-eyeOffset, -eyeOffset, currentSize * 0.1);
+    ellipse(eyeOffset, -eyeOffset, currentSize * 0.1);
+    
+    // Angry mouth
+    stroke(0);
+    strokeWeight(2);
+    noFill();
+    arc(0, eyeOffset, currentSize * 0.4, currentSize * 0.2, PI, TWO_PI);
+  },
+  
+  shooter(enemy) {
+    // Triangle-shaped enemy with cannon
+    const currentSize = enemy.size * (1 + enemy.pulseSize);
+    
+    // Main body
+    fill(enemy.color);
+    noStroke();
+    triangle(
+      -currentSize/2, currentSize/2,
+      currentSize/2, currentSize/2,
+      0, -currentSize/2
+    );
+    
+    // Cannon/shooter part
+    fill(enemy.color[0] * 0.7, enemy.color[1] * 0.7, enemy.color[2] * 0.7);
+    rect(-currentSize * 0.15, 0, currentSize * 0.3, currentSize * 0.6);
+    
+    // Eyes
+    fill(255);
+    const eyeOffset = currentSize * 0.15;
+    ellipse(-eyeOffset, -eyeOffset*0.5, currentSize * 0.15);
+    ellipse(eyeOffset, -eyeOffset*0.5, currentSize * 0.15);
+    
+    // Pupils
+    fill(0);
+    ellipse(-eyeOffset, -eyeOffset*0.5, currentSize * 0.07);
+    ellipse(eyeOffset, -eyeOffset*0.5, currentSize * 0.07);
+    
+    // Glow effect when about to shoot
+    if (enemy.shootCooldown < 15 && enemy.shootCooldown > 0) {
+      fill(255, 200, 0, map(enemy.shootCooldown, 15, 0, 0, 150));
+      ellipse(0, currentSize * 0.6, currentSize * 0.2, currentSize * 0.1);
+    }
+  },
+  
+  bomber(enemy) {
+    // Larger, chunky enemy
+    const currentSize = enemy.size * (1 + enemy.pulseSize);
+    
+    // Main body
+    fill(enemy.color);
+    noStroke();
+    
+    // Simple wobbling shape
+    push();
+    beginShape();
+    // Use simple polygon approach
+    for (let angle = 0; angle < TWO_PI; angle += PI/4) {
+      // Add some wobble with sine
+      const wobble = sin(frameCount * 0.05 + angle * 2) * 4;
+      const radius = currentSize/2 + wobble;
+      const x = cos(angle) * radius;
+      const y = sin(angle) * radius;
+      vertex(x, y);
+    }
+    endShape(CLOSE);
+    pop();
+    
+    // Inner body detail
+    fill(enemy.color[0] * 1.2, enemy.color[1] * 1.2, enemy.color[2] * 1.2);
+    ellipse(0, 0, currentSize * 0.7);
+    
+    // Glowing core
+    fill(255, 150, 0, 150 + sin(frameCount * 0.1) * 50);
+    ellipse(0, 0, currentSize * 0.4 + sin(frameCount * 0.2) * 5);
+    
+    // Eyes
+    fill(255);
+    const eyeOffset = currentSize * 0.15;
+    ellipse(-eyeOffset, -eyeOffset, currentSize * 0.2);
+    ellipse(eyeOffset, -eyeOffset, currentSize * 0.2);
+    
+    // Angry pupils
+    fill(255, 0, 0);
+    ellipse(-eyeOffset, -eyeOffset, currentSize * 0.1);
+    ellipse(eyeOffset, -eyeOffset, currentSize * 0.1);
+  },
+  
+  zigzag(enemy) {
+    // Small, fast-moving zigzagging enemy
+    const currentSize = enemy.size * (1 + enemy.pulseSize);
+    
+    // Dynamic rotation based on movement
+    rotate(enemy.vel.heading());
+    
+    // Main body (pointy)
+    fill(enemy.color);
+    noStroke();
+    beginShape();
+    vertex(currentSize * 0.6, 0); // Front tip
+    vertex(-currentSize * 0.3, currentSize * 0.4); // Bottom-right
+    vertex(-currentSize * 0.5, 0); // Back
+    vertex(-currentSize * 0.3, -currentSize * 0.4); // Top-right
+    endShape(CLOSE);
+    
+    // Trailing effect
+    for (let i = 1; i <= 3; i++) {
+      const alpha = map(i, 1, 3, 150, 0);
+      const offset = i * 10;
+      fill(enemy.color[0], enemy.color[1], enemy.color[2], alpha);
+      
+      beginShape();
+      vertex(-currentSize * 0.3 - offset, currentSize * 0.25);
+      vertex(-currentSize * 0.5 - offset, 0);
+      vertex(-currentSize * 0.3 - offset, -currentSize * 0.25);
+      endShape(CLOSE);
+    }
+    
+    // Eye
+    fill(255);
+    ellipse(currentSize * 0.2, 0, currentSize * 0.25);
+    
+    // Pupil
+    fill(0);
+    ellipse(currentSize * 0.25, 0, currentSize * 0.12);
+  }
+};
+
+// Registered enemy types by name, in registration order
+const ENEMY_TYPES = {};
+
+// Add an enemy type. Fields (multipliers are relative to the base enemy):
+//   name, label, description  - id and help screen text
+//   health, size, speed, score - hit points and size/speed/score multipliers
+//   color                      - [r, g, b]
+//   colorblindColor            - [r, g, b] used by the colorblind palette
+//   behavior, renderer         - keys into ENEMY_BEHAVIORS / ENEMY_RENDERERS
+//   shoots                     - null, or { range, speed } for aimed shots
+//   spin                       - rotation speed multiplier
+//   spawnWeights               - [{ level, weight }], the last entry whose
+//                                level has been reached applies
+function registerEnemyType(definition) {
+  const type = Object.assign({
+    label: definition.name,
+    description: "",
+    health: 1,
+    size: 1,
+    speed: 1,
+    score: 1,
+    color: [200, 50, 50],
+    colorblindColor: null,
+    behavior: 'wander',
+    renderer: 'basic',
+    shoots: null,
+    spin: 1,
+    spawnWeights: []
+  }, definition);
+  
+  if (!ENEMY_BEHAVIORS[type.behavior]) {
+    throw new Error(`Enemy type ${type.name} uses unknown behavior: ${type.behavior}`);
+  }
+  if (!ENEMY_RENDERERS[type.renderer]) {
+    throw new Error(`Enemy type ${type.name} uses unknown renderer: ${type.renderer}`);
+  }
+  
+  if (!type.colorblindColor) {
+    type.colorblindColor = type.color;
+  }
+  
+  ENEMY_TYPES[type.name] = type;
+  return type;
+}
+
+// Spawn weight of a type at the given level (0 means it never spawns)
+function getSpawnWeight(type, level) {
+  let weight = 0;
+  for (const entry of type.spawnWeights) {
+    if (level >= entry.level) {
+      weight = entry.weight;
+    }
+  }
+  return weight;
+}
+
+registerEnemyType({
+  name: 'basic',
+  label: "Basic Enemy",
+  description: "Standard movement pattern",
+  health: 1,
+  color: [200, 50, 50],
+  colorblindColor: [213, 94, 0],
+  behavior: 'wander',
+  renderer: 'basic',
+  spawnWeights: [{ level: 1, weight: 1 }]
+});
+
+registerEnemyType({
+  name: 'shooter',
+  label: "Shooter Enemy",
+  description: "Shoots projectiles at player",
+  health: 2,
+  size: 0.9,
+  speed: 0.8,
+  score: 1.5,
+  color: [50, 100, 200],
+  colorblindColor: [86, 180, 233],
+  behavior: 'keepDistance',
+  renderer: 'shooter',
+  shoots: { range: 400, speed: 5 },
+  spawnWeights: [{ level: 1, weight: 0.6 }, { level: 2, weight: 0.8 }]
+});
+
+registerEnemyType({
+  name: 'bomber',
+  label: "Bomber Enemy",
+  description: "Slow but tough, charges at player",
+  health: 3,
+  size: 1.3,
+  speed: 0.6,
+  score: 2,
+  color: [100, 50, 150],
+  colorblindColor: [204, 121, 167],
+  behavior: 'charge',
+  renderer: 'bomber',
+  spawnWeights: [{ level: 1, weight: 0.4 }, { level: 3, weight: 0.6 }]
+});
+
+registerEnemyType({
+  name: 'zigzag',
+  label: "Zigzag Enemy",
+  description: "Fast and erratic movement",
+  health: 1,
+  size: 0.7,
+  speed: 1.5,
+  score: 1.2,
+  color: [50, 200, 100],
+  colorblindColor: [240, 228, 66],
+  behavior: 'zigzag',
+  renderer: 'zigzag',
+  spin: 3,
+  spawnWeights: [{ level: 1, weight: 0.5 }, { level: 4, weight: 0.7 }]
+});
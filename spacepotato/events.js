@@ -0,0 +1,66 @@
+// Gameplay event bus.
+//
+// Gameplay code emits an event when something happens; audio, effects,
+// stats, achievements and HUD messages subscribe to the events they care
+// about. Listeners run straight away, in the order they subscribed.
+//
+// Every event is declared here with the fields its data must have, so a typo
+// in an event name or a missing field fails loudly instead of going unheard.
+const GAME_EVENTS = {
+  // An enemy or boss was destroyed. type is the enemy type or 'boss', cause
+  // is 'shot', 'shield', 'bomb' or 'grenade'.
+  enemyKilled: ['type', 'cause', 'x', 'y', 'size', 'color', 'scoreValue'],
+  // A player took damage. source is the enemy type that rammed them,
+  // 'projectile' or 'boss'; x, y and size place the hit.
+  playerHit: ['player', 'source', 'amount', 'x', 'y', 'size'],
+  // A shielded player rammed something. target is the enemy type or 'boss'.
+  shieldRam: ['player', 'target', 'x', 'y', 'size'],
+  powerupCollected: ['player', 'type', 'x', 'y', 'size'],
+  // damageTaken is the damage taken during the level just cleared
+  levelUp: ['level', 'damageTaken'],
+  // count is the number of projectiles the shot fired
+  shotFired: ['player', 'count', 'x', 'y'],
+  gameOver: ['score', 'seconds', 'level', 'accuracy', 'shotsFired']
+};
+
+class EventBus {
+  constructor() {
+    this.listeners = {};
+    for (const event in GAME_EVENTS) {
+      this.listeners[event] = [];
+    }
+  }
+  
+  // Call listener(data) every time the event is emitted. Returns a function
+  // that unsubscribes it.
+  on(event, listener) {
+    this.check(event);
+    this.listeners[event].push(listener);
+    return () => this.off(event, listener);
+  }
+  
+  off(event, listener) {
+    this.check(event);
+    this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+  }
+  
+  emit(event, data) {
+    this.check(event);
+    for (const field of GAME_EVENTS[event]) {
+      if (!(field in data)) {
+        throw new Error(`${event} event is missing ${field}`);
+      }
+    }
+    
+    // Copy first so a listener can unsubscribe while the event is going out
+    for (const listener of this.listeners[event].slice()) {
+      listener(data);
+    }
+  }
+  
+  check(event) {
+    if (!GAME_EVENTS[event]) {
+      throw new Error(`Unknown game event: ${event}`);
+    }
+  }
+}
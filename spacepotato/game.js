@@ -1,5 +1,68 @@
 class Game {
-  constructor() {
+  // Options: width/height of the playfield, audio (false to skip p5.sound),
+  // storage (a localStorage-like object, or null to persist nothing),
+  // waves (parsed wave file data, or null for random spawning only) and
+  // particleBudget (most particles alive at once)
+  constructor(options = {}) {
+    // Playfield size - the simulation never reads the canvas size directly
+    this.width = options.width || 800;
+    this.height = options.height || 600;
+    
+    // Where high scores and replays are persisted
+    this.storage = options.storage !== undefined ? options.storage :
+                   (typeof localStorage !== 'undefined' ? localStorage : null);
+    
+    // Scripted waves played at the start of each run
+    this.waveData = null;
+    this.waveDirector = null;
+    if (options.waves) {
+      this.setWaves(options.waves);
+    }
+    
+    // Online leaderboard, if a server address was given
+    this.leaderboard = new LeaderboardClient(options.leaderboardUrl, this.storage);
+    this.highScoreView = 'local'; // 'local' or 'online' on the high scores screen
+    this.onlineScores = null; // { status, top, around, error } for the online view
+    this.isLocalHighScore = false;
+    this.highScoreMessage = ""; // Result of the last import
+    
+    // Stats for the current run, totals across runs, and the summary shown
+    // after a run: { previousBests } to compare against
+    this.stats = new RunStats();
+    this.lifetimeStats = new LifetimeStats(this.storage);
+    this.runSummary = null;
+    
+    // Achievements, and popups for the ones unlocked recently
+    this.achievements = new AchievementTracker(this.storage);
+    this.achievementToasts = []; // { achievement, time } shown one after another
+    this.ACHIEVEMENT_TOAST_TIME = 3000; // Milliseconds each popup stays up
+    
+    // Hitboxes, counts and frame timings, toggled with F3 or `
+    this.debugOverlay = new DebugOverlay(this);
+    
+    // Gameplay events, with sound, effects, stats, achievements and HUD
+    // messages listening
+    this.events = new EventBus();
+    this.subscribeToEvents();
+    
+    // Player options
+    this.settings = new Settings(this.storage);
+    this.settingsReturnState = null; // Screen to go back to from settings
+    this.difficulty = this.settings.get('difficulty'); // Preset for the current run
+    
+    // Keyboard controls
+    this.keyBindings = new KeyBindings(this.storage);
+    this.rebinding = null; // { action, slot } while waiting for a new key
+    this.controlsMessage = "";
+    this.controlsReturnState = null; // Screen to go back to from the controls
+    
+    // Pause menu choice waiting for YES or NO ('restart' or 'quit'), if any
+    this.pauseConfirm = null;
+    
+    // Screen shake requested by gameplay, played back by the renderer
+    this.screenShake = 0;
+    this.shakeAmount = 0;
+    
     // Game states
     this.GAME_START = 0;
     this.GAME_PLAYING = 1;
@@ -7,16 +70,56 @@ class Game {
     this.GAME_PAUSED = 3;
     this.GAME_HELP = 4; // New state for help screen
     this.GAME_NAME_ENTRY = 5; // New state for name entry
+    this.GAME_REPLAY = 6; // Watching a recorded run
+    this.GAME_SETTINGS = 7;
+    this.GAME_CONTROLS = 8; // Key binding screen, opened from settings
+    this.GAME_ACHIEVEMENTS = 9; // Achievement gallery, opened from the title screen
     
     this.gameState = this.GAME_START;
     
-    // Game objects
-    this.player = new Player();
+    // Fixed-timestep simulation (60 ticks per second, independent of refresh rate)
+    this.TIMESTEP = 1000 / 60;
+    this.MAX_STEPS_PER_FRAME = 5; // Drop time rather than spiral after a long stall
+    this.accumulator = 0;
+    this.tick = 0;
+    
+    // Collision broadphase, refilled every tick
+    this.COLLISION_CELL_SIZE = 64;
+    this.COLLISION_MARGIN = 5; // checkCollision's extra reach
+    this.playerGrid = new SpatialGrid(this.COLLISION_CELL_SIZE);
+    this.projectileGrid = new SpatialGrid(this.COLLISION_CELL_SIZE);
+    
+    // Seeded random streams: rng drives gameplay, fxRng drives cosmetic effects
+    // so visual-only randomness can never change the outcome of a run
+    this.fixedSeed = null; // Set to force every run to use the same seed
+    this.seed = SeededRandom.randomSeed();
+    this.rng = new SeededRandom(this.seed);
+    this.fxRng = new SeededRandom(this.seed ^ 0x9E3779B9);
+    
+    // Input recording and replay
+    this.recording = null; // Replay being recorded for the current run
+    this.lastReplay = this.loadLastReplay(); // Most recently finished run
+    this.replayPlayer = null; // Playback state while watching a replay
+    
+    // Game objects. this.player is player 1; co-op adds player 2 to this.players.
+    this.coop = false; // Two players for the next run
+    this.players = [new Player(this)];
+    this.player = this.players[0];
     this.projectiles = [];
     this.enemies = [];
     this.enemyProjectiles = [];
     this.particles = [];
     this.powerups = [];
+    this.grenades = [];
+    
+    // Pools the short-lived objects above are recycled through
+    this.particlePool = new ObjectPool("Particles", (...args) => new Particle(this, ...args));
+    this.sparkPool = new ObjectPool("Sparks", (...args) => new Spark(this, ...args));
+    this.projectilePool = new ObjectPool("Projectiles", (...args) => new Projectile(this, ...args));
+    this.enemyProjectilePool = new ObjectPool("Enemy shots", (...args) => new EnemyProjectile(this, ...args));
+    
+    // Effects thin out as the particle count nears the budget
+    this.particleBudget = options.particleBudget || 1500;
     
     // Game variables
     this.score = 0;
@@ -27,6 +130,15 @@ class Game {
     this.difficultyTimer = 0;
     this.DIFFICULTY_INCREASE = 30 * 60; // increase difficulty every 30 seconds
     
+    // Boss encounters
+    this.BOSS_LEVEL_INTERVAL = 3; // a boss fight every 3 levels
+    this.BOMB_BOSS_DAMAGE = 8;
+    this.boss = null;
+    this.bossesDefeated = 0;
+    
+    // Slow motion: enemies, their shots and the boss move when this reaches 1
+    this.hostileClock = 0;
+    
     // Name entry variables
     this.playerName = "POTATO";
     this.nameEntryActive = false;
@@ -38,6 +150,10 @@ class Game {
     this.powerupMessageTimer = 0;
     this.powerupMessageDuration = 180; // 3 seconds at 60fps
     
+    // Wave announcements
+    this.announcement = "";
+    this.announcementTimer = 0;
+    
     // High scores
     this.loadHighScores();
     
@@ -46,32 +162,49 @@ class Game {
     
     // Base colors
     this.colors = {
-      background: color(10, 15, 30),
-      text: color(255),
-      scoreText: color(255, 220, 150),
-      buttonFill: color(60, 100, 150),
-      buttonHover: color(80, 130, 180),
-      buttonText: color(255),
-      healthBar: color(100, 200, 100),
-      healthBarBg: color(60, 60, 60),
-      inputField: color(40, 40, 60),
-      inputFieldActive: color(50, 50, 80)
+      background: [10, 15, 30],
+      text: [255, 255, 255],
+      scoreText: [255, 220, 150],
+      buttonFill: [60, 100, 150],
+      buttonHover: [80, 130, 180],
+      buttonText: [255, 255, 255],
+      healthBar: [100, 200, 100],
+      healthBarBg: [60, 60, 60],
+      inputField: [40, 40, 60],
+      inputFieldActive: [50, 50, 80]
     };
     
     // Update background color based on level
     this.updateBackgroundColor();
     
+    // Controller input and d-pad focus for menu buttons
+    this.gamepad = new GamepadInput();
+    this.menuButtons = []; // Buttons drawn this frame, in drawing order
+    this.collectingButtons = false;
+    this.menuFocus = -1; // Index into menuButtons, or -1 for none
+    this.menuFocusState = null; // Screen the focus belongs to
+    this.virtualPointer = null; // Stands in for the mouse when activating with a controller
+    
+    // On-screen controls, switched on by the first touch
+    this.touch = new TouchControls();
+    
+    // Last analog movement sent by each source (gamepad, touch)
+    this.analogMoves = {};
+    
+    // Whether each source (mouse, keyboard, gamepad, touch) is holding fire
+    this.fireSources = {};
+    
     // Audio context management
     this.audioContextStarted = false;
     
-    // Sounds
-    this.soundEnabled = true;
-    try {
-      this.initSounds();
-    } catch(e) {
-      console.warn("Sound initialization failed, disabling sound:", e);
-      this.soundEnabled = false;
+    // Sound effects and the volume mixer
+    this.sound = new SoundManager(this.storage);
+    if (options.audio !== false) {
+      this.sound.init();
     }
+    
+    // Background music
+    this.music = new MusicSequencer(this.sound);
   }
   
   // Update background color based on current level
@@ -82,90 +215,104 @@ class Game {
     const baseB = 30;
     
     // Calculate how much to lighten (max 30% lighter at level 10)
-    const lightenFactor = min(0.3, (this.level - 1) * 0.03);
+    const lightenFactor = Math.min(0.3, (this.level - 1) * 0.03);
     
     const r = baseR + lightenFactor * (255 - baseR);
     const g = baseG + lightenFactor * (255 - baseG);
     const b = baseB + lightenFactor * (255 - baseB);
     
-    this.colors.background = color(r, g, b);
-  }
-  
-  initSounds() {
-    try {
-      // We'll synthesize sounds using p5.Oscillator
-      this.shootSound = new p5.Oscillator('square');
-      this.shootSound.amp(0);
-      this.shootSound.start();
-      
-      this.explosionSound = new p5.Noise('brown');
-      this.explosionSound.amp(0);
-      this.explosionSound.start();
-      
-      this.powerupSound = new p5.Oscillator('sine');
-      this.powerupSound.amp(0);
-      this.powerupSound.start();
-    } catch(e) {
-      console.error("Error initializing sounds:", e);
-      this.soundEnabled = false;
-      throw e; // Rethrow to be handled by the constructor
-    }
+    this.colors.background = [r, g, b];
   }
   
-  playSound(type) {
-    // Skip if sound is disabled
-    if (!this.soundEnabled) return;
-    
-    try {
-      switch(type) {
-        case "shoot":
-          this.shootSound.freq(400);
-          this.shootSound.amp(0.1, 0.01);
-          this.shootSound.amp(0, 0.2, 0.05);
-          break;
-        case "explosion":
-          this.explosionSound.amp(0.2, 0.01);
-          this.explosionSound.amp(0, 0.5, 0.1);
-          break;
-        case "powerup":
-          this.powerupSound.freq(600);
-          this.powerupSound.amp(0.1, 0.01);
-          setTimeout(() => {
-            this.powerupSound.freq(800);
-          }, 100);
-          setTimeout(() => {
-            this.powerupSound.amp(0, 0.2);
-          }, 200);
-          break;
-      }
-    } catch(e) {
-      console.warn("Error playing sound, disabling sound:", e);
-      this.soundEnabled = false;
-    }
+  playSound(name) {
+    this.sound.play(name);
   }
   
   createStars(count) {
     const stars = [];
     for (let i = 0; i < count; i++) {
       stars.push({
-        x: random(width),
-        y: random(height),
-        size: random(1, 3),
-        speed: random(0.1, 0.5)
+        x: this.fxRng.random(this.width),
+        y: this.fxRng.random(this.height),
+        size: this.fxRng.random(1, 3),
+        speed: this.fxRng.random(0.1, 0.5)
       });
     }
     return stars;
   }
   
-  update() {
+  // Called once per rendered frame with the real elapsed time in milliseconds
+  update(elapsed) {
+    this.debugOverlay.recordFrame(elapsed);
+    this.updateGamepad();
+    this.updateTouch();
+    this.updateFire();
+    this.leaderboard.update();
+    this.updateAchievementToasts(elapsed);
+    
+    // Accumulate real elapsed time and advance the simulation in fixed steps
+    this.accumulator = Math.min(this.accumulator + elapsed, this.TIMESTEP * this.MAX_STEPS_PER_FRAME);
+    
+    while (this.accumulator >= this.TIMESTEP) {
+      this.step();
+      this.accumulator -= this.TIMESTEP;
+    }
+    
+    this.updateMusic(elapsed);
+  }
+  
+  // Pick the music track for the current screen and feed it the game's intensity
+  updateMusic(elapsed) {
+    switch (this.gameState) {
+      case this.GAME_PLAYING:
+      case this.GAME_REPLAY:
+        this.music.play('game');
+        this.music.setIntensity(this.level, this.enemies.length + (this.boss ? 10 : 0), this.getMusicHealth());
+        break;
+      case this.GAME_PAUSED:
+      case this.GAME_HELP:
+        this.music.play('pause');
+        break;
+      case this.GAME_OVER:
+      case this.GAME_NAME_ENTRY:
+        this.music.play('gameOver');
+        break;
+      case this.GAME_SETTINGS:
+      case this.GAME_CONTROLS:
+        this.music.play(this.isMenuOverPausedRun() ? 'pause' : null);
+        break;
+      default:
+        this.music.play(null);
+        break;
+    }
+    
+    this.music.update(elapsed);
+  }
+  
+  // Health the music reacts to: the lowest among players still standing, so a
+  // downed teammate waiting for a revive doesn't keep it at full danger
+  getMusicHealth() {
+    const standing = this.players.filter(p => !p.isDown);
+    if (standing.length === 0) return 0;
+    return Math.min(...standing.map(p => p.health / p.maxHealth));
+  }
+  
+  // Advance the game by one fixed simulation tick
+  step() {
     // Update based on game state
     switch (this.gameState) {
       case this.GAME_PLAYING:
         this.updateGame();
         break;
+      case this.GAME_REPLAY:
+        this.updateReplay();
+        break;
       case this.GAME_START:
       case this.GAME_OVER:
       case this.GAME_PAUSED:
+      case this.GAME_SETTINGS:
+      case this.GAME_CONTROLS:
+      case this.GAME_ACHIEVEMENTS:
         // Update stars in all states for background animation
         this.updateStars();
         break;
@@ -176,6 +323,10 @@ class Game {
     // Clear screen
     background(this.colors.background);
     
+    // Collect this frame's buttons for controller navigation
+    this.menuButtons = [];
+    this.collectingButtons = true;
+    
     // Display based on game state
     switch (this.gameState) {
       case this.GAME_START:
@@ -183,6 +334,9 @@ class Game {
         break;
       case this.GAME_PLAYING:
         this.displayGame();
+        if (this.touch.enabled) {
+          this.touch.display(this.settings.get('autoFire'), this.player.grenades);
+        }
         break;
       case this.GAME_OVER:
         this.displayGameOverScreen();
@@ -199,11 +353,63 @@ class Game {
         this.displayGameOverScreen();
         this.displayNameEntryScreen();
         break;
+      case this.GAME_REPLAY:
+        this.displayGame();
+        this.displayReplayControls();
+        break;
+      case this.GAME_SETTINGS:
+        this.displaySettingsScreen();
+        break;
+      case this.GAME_CONTROLS:
+        this.displayControlsScreen();
+        break;
+      case this.GAME_ACHIEVEMENTS:
+        this.displayAchievementsScreen();
+        break;
+    }
+    
+    this.collectingButtons = false;
+    
+    // Achievement popups go over every screen
+    this.displayAchievementToasts();
+    
+    if (this.settings.get('showFps')) {
+      this.displayFps();
+    }
+    if (this.settings.get('showPools')) {
+      this.displayPoolStats();
+    }
+    this.debugOverlay.display();
+  }
+  
+  // Debug counter: live and spare objects in each pool, and the particle budget
+  displayPoolStats() {
+    const pools = [this.particlePool, this.sparkPool, this.projectilePool, this.enemyProjectilePool];
+    
+    textAlign(LEFT, BOTTOM);
+    textSize(12);
+    fill(this.colors.text);
+    noStroke();
+    
+    let y = height - 10;
+    for (const pool of pools.slice().reverse()) {
+      text(`${pool.name}: ${pool.inUse} live, ${pool.free.length} spare`, 10, y);
+      y -= 16;
     }
+    text(`Particle budget: ${this.particles.length}/${this.particleBudget}`, 10, y);
+  }
+  
+  displayFps() {
+    textAlign(RIGHT, TOP);
+    textSize(14);
+    fill(this.colors.text);
+    noStroke();
+    text(`${Math.round(frameRate())} FPS`, width - 55, 20);
   }
   
   // Game state updates
   updateGame() {
+    this.tick++;
     this.updateStars();
     
     // Update level up message timer if active
@@ -219,116 +425,110 @@ class Game {
       this.powerupMessageTimer--;
     }
     
-    // Update player
-    this.player.update();
+    if (this.announcementTimer > 0) {
+      this.announcementTimer--;
+    }
+    
+    // Update players
+    this.players.forEach(player => player.update());
+    this.updateRevives();
+    this.fillGrid(this.playerGrid, this.players);
+    
+    // Slow motion moves enemies every other tick; collisions are still checked every tick
+    this.hostileClock += this.players.some(p => !p.isDown && p.hasPowerup('slowMo')) ? 0.5 : 1;
+    const hostilesMove = this.hostileClock >= 1;
+    if (hostilesMove) {
+      this.hostileClock -= 1;
+    }
     
     // Update projectiles
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
       this.projectiles[i].update();
       if (this.projectiles[i].isOffscreen()) {
-        this.projectiles.splice(i, 1);
+        recycle(this.projectiles, i);
+      }
+    }
+    this.fillGrid(this.projectileGrid, this.projectiles);
+    
+    // Grenades burst on their fuse or on contact
+    for (let i = this.grenades.length - 1; i >= 0; i--) {
+      const grenade = this.grenades[i];
+      grenade.update();
+      if (grenade.shouldExplode()) {
+        this.grenades.splice(i, 1);
+        this.explodeGrenade(grenade);
       }
     }
     
     // Update enemy projectiles
     for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
       const projectile = this.enemyProjectiles[i];
-      projectile.update();
+      if (hostilesMove) {
+        projectile.update();
+      }
       
-      // Check collision with player
-      if (this.checkCollision(projectile, this.player) && !this.player.isInvulnerable) {
-        this.player.takeDamage(1);
-        this.createExplosion(projectile.pos.x, projectile.pos.y, 5, projectile.size);
-        this.enemyProjectiles.splice(i, 1);
+      // Check collision with players
+      const hitPlayer = this.playersNear(projectile).find(p => !p.isDown && this.checkCollision(projectile, p) && !p.isInvulnerable);
+      if (hitPlayer) {
+        hitPlayer.takeDamage(1, 'projectile', projectile);
+        recycle(this.enemyProjectiles, i);
         continue;
       }
       
       // Remove offscreen projectiles
       if (projectile.isOffscreen()) {
-        this.enemyProjectiles.splice(i, 1);
+        recycle(this.enemyProjectiles, i);
       }
     }
     
     // Update enemies
     for (let i = this.enemies.length - 1; i >= 0; i--) {
       const enemy = this.enemies[i];
-      enemy.update();
+      if (hostilesMove) {
+        enemy.update();
+      }
       
-      // Check collision with player
-      if (this.checkCollision(enemy, this.player)) {
-        if (this.player.activePowerups.shield) {
+      // Check collision with players
+      const hitPlayer = this.playersNear(enemy).find(p => !p.isDown && this.checkCollision(enemy, p));
+      if (hitPlayer) {
+        if (hitPlayer.hasPowerup('shield')) {
           // Player has shield - damage the enemy instead
           enemy.health -= 1;
-          
-          // Create visual effect for shield collision
-          this.createExplosion(enemy.pos.x, enemy.pos.y, 10, enemy.size, color(100, 150, 255));
-          applyScreenShake(5, 5);
+          this.events.emit('shieldRam', {
+            player: hitPlayer,
+            target: enemy.type,
+            x: enemy.pos.x,
+            y: enemy.pos.y,
+            size: enemy.size
+          });
           
           // Check if enemy is destroyed
           if (enemy.health <= 0) {
-            // Award score and create explosion
-            this.score += enemy.scoreValue;
-            this.createExplosion(enemy.pos.x, enemy.pos.y, 15, enemy.size * 1.5);
-            
-            // Chance to drop powerup
-            if (random() < 0.2) {
-              this.powerups.push(new Powerup(enemy.pos.x, enemy.pos.y));
-            }
-            
-            // Remove the enemy
-            this.enemies.splice(i, 1);
-            applyScreenShake(5, 5);
-            this.playSound("explosion");
+            this.killEnemy(i, 'shield');
           }
-        } else if (!this.player.isInvulnerable) {
+        } else if (!hitPlayer.isInvulnerable) {
           // Normal collision - player takes damage
-          this.player.takeDamage(1);
-          this.createExplosion(enemy.pos.x, enemy.pos.y, 10, enemy.size);
+          hitPlayer.takeDamage(1, enemy.type, enemy);
           this.enemies.splice(i, 1);
-          applyScreenShake(10, 10);
-          this.playSound("explosion");
         }
         continue;
       }
       
-      // Check collision with projectiles
-      for (let j = this.projectiles.length - 1; j >= 0; j--) {
-        const projectile = this.projectiles[j];
+      // Check collision with projectiles - the last one in the list touching it hits
+      const projectile = this.projectilesNear(enemy).reverse().find(p => this.projectileHits(p, enemy));
+      if (projectile) {
+        // Apply damage to enemy
+        enemy.health -= projectile.damage;
         
-        // Calculate distance between projectile and enemy
-        const distance = dist(projectile.pos.x, projectile.pos.y, enemy.pos.x, enemy.pos.y);
+        // Create visual effect
+        this.createExplosion(projectile.pos.x, projectile.pos.y, 3, projectile.size);
         
-        // Use the hitbox sizes to determine collision
-        const combinedRadius = (projectile.hitboxSize / 2) + (enemy.hitboxSize / 2);
+        this.projectileLanded(projectile, enemy);
         
-        if (distance < combinedRadius) {
-          console.log(`HIT! Type: ${enemy.type}, Enemy health before: ${enemy.health}, damage: ${projectile.damage}`);
-          
-          // Apply damage to enemy
-          enemy.health -= projectile.damage;
-          console.log(`Enemy health after: ${enemy.health}`);
-          
-          // Create visual effect
-          this.createExplosion(projectile.pos.x, projectile.pos.y, 3, projectile.size);
-          
-          // Remove the projectile
-          this.projectiles.splice(j, 1);
-          
-          // Check if enemy is destroyed
-          if (enemy.health <= 0) {
-            this.score += enemy.scoreValue;
-            this.createExplosion(enemy.pos.x, enemy.pos.y, 15, enemy.size * 1.5);
-            
-            // Chance to drop powerup
-            if (random() < 0.2) {
-              this.powerups.push(new Powerup(enemy.pos.x, enemy.pos.y));
-            }
-            
-            this.enemies.splice(i, 1);
-            applyScreenShake(5, 5);
-            this.playSound("explosion");
-          }
-          break;
+        // Check if enemy is destroyed
+        if (enemy.health <= 0) {
+          this.killEnemy(i, 'shot');
+          continue;
         }
       }
       
@@ -342,7 +542,7 @@ class Game {
     for (let i = this.particles.length - 1; i >= 0; i--) {
       this.particles[i].update();
       if (this.particles[i].isDead()) {
-        this.particles.splice(i, 1);
+        recycle(this.particles, i);
       }
     }
     
@@ -351,35 +551,18 @@ class Game {
       const powerup = this.powerups[i];
       powerup.update();
       
-      // Check collision with player
-      if (powerup.collidesWith(this.player)) {
-        this.player.applyPowerup(powerup.type);
-        this.createExplosion(powerup.pos.x, powerup.pos.y, 10, powerup.size, color(100, 255, 100));
+      // Check collision with players
+      const collector = this.playersNear(powerup).find(p => !p.isDown && powerup.collidesWith(p));
+      if (collector) {
+        collector.applyPowerup(powerup.type);
         this.powerups.splice(i, 1);
-        this.playSound("powerup");
-        
-        // Set powerup message based on type
-        let message = "";
-        switch(powerup.type) {
-          case 'tripleShot':
-            message = "Triple Shot: Fire 3 projectiles at once!";
-            break;
-          case 'powerShot':
-            message = "Power Shot: Projectiles deal double damage!";
-            break;
-          case 'shield':
-            message = "Shield: 10 seconds of invulnerability. Ram enemies to destroy them!";
-            break;
-          case 'speedBoost':
-            message = "Speed Boost: Move 50% faster!";
-            break;
-          default:
-            message = `Collected ${powerup.type.toUpperCase()} power-up!`;
-        }
-        
-        this.powerupMessage = message;
-        this.powerupMessageTimer = this.powerupMessageDuration;
-        
+        this.events.emit('powerupCollected', {
+          player: collector,
+          type: powerup.type,
+          x: powerup.pos.x,
+          y: powerup.pos.y,
+          size: powerup.size
+        });
         continue;
       }
       
@@ -389,32 +572,313 @@ class Game {
       }
     }
     
-    // Spawn enemies
-    this.enemySpawnCounter++;
-    if (this.enemySpawnCounter >= this.enemySpawnRate) {
-      this.spawnEnemy();
-      this.enemySpawnCounter = 0;
+    // Boss fight replaces normal spawning and level progress until it's won
+    if (this.boss) {
+      this.updateBoss(hostilesMove);
+    } else {
+      // Scripted waves first, then random spawning once they run out
+      const scripted = this.waveDirector && this.waveDirector.update();
+      if (!scripted) {
+        this.enemySpawnCounter++;
+        if (this.enemySpawnCounter >= this.enemySpawnRate * this.getDifficulty().spawnInterval) {
+          this.spawnEnemy();
+          this.enemySpawnCounter = 0;
+        }
+      }
+      
+      // Increase difficulty over time
+      this.difficultyTimer++;
+      if (this.difficultyTimer >= this.DIFFICULTY_INCREASE) {
+        this.increaseDifficulty();
+        this.difficultyTimer = 0;
+      }
     }
     
-    // Increase difficulty over time
-    this.difficultyTimer++;
-    if (this.difficultyTimer >= this.DIFFICULTY_INCREASE) {
-      this.increaseDifficulty();
-      this.difficultyTimer = 0;
+    // Drop the projectiles that hit something
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      if (this.projectiles[i].spent) {
+        recycle(this.projectiles, i);
+      }
     }
     
-    // Game over check
-    if (this.player.lives <= 0) {
+    this.stats.update(this.tick, this.level);
+    
+    // Game over once nobody is left standing
+    if (this.players.every(p => p.isDown)) {
       this.gameOver();
     }
   }
   
+  // Award a destroyed enemy's score, tell everyone listening, then remove it
+  // and maybe drop a powerup. cause is 'shot', 'shield', 'bomb' or 'grenade'.
+  killEnemy(index, cause) {
+    const enemy = this.enemies[index];
+    this.score += enemy.scoreValue;
+    this.events.emit('enemyKilled', {
+      type: enemy.type,
+      cause: cause,
+      x: enemy.pos.x,
+      y: enemy.pos.y,
+      size: enemy.size,
+      color: enemy.color,
+      scoreValue: enemy.scoreValue
+    });
+    
+    // Chance to drop powerup
+    if (this.rng.random() < 0.2) {
+      this.powerups.push(new Powerup(this, enemy.pos.x, enemy.pos.y));
+    }
+    
+    this.enemies.splice(index, 1);
+  }
+  
+  // Hook sound, effects, stats, achievements and HUD messages up to the
+  // gameplay events
+  subscribeToEvents() {
+    const events = this.events;
+    
+    // Sound
+    events.on('enemyKilled', () => this.playSound("explosion"));
+    events.on('playerHit', () => this.playSound("playerHit"));
+    events.on('powerupCollected', () => this.playSound("powerup"));
+    events.on('levelUp', () => this.playSound("levelUp"));
+    events.on('shotFired', () => this.playSound("shoot"));
+    events.on('gameOver', () => this.playSound("gameOver"));
+    
+    // Particles and screen shake
+    events.on('enemyKilled', e => {
+      if (e.type === 'boss') {
+        this.createExplosion(e.x, e.y, 40, e.size * 0.6, e.color);
+        this.createExplosion(e.x, e.y, 30, e.size * 0.4);
+        this.applyScreenShake(15, 30);
+      } else {
+        this.createExplosion(e.x, e.y, 15, e.size * 1.5);
+        this.applyScreenShake(5, 5);
+      }
+    });
+    events.on('playerHit', e => {
+      // Shots sting less than being rammed
+      const rammed = e.source !== 'projectile';
+      this.createExplosion(e.x, e.y, rammed ? 10 : 5, e.size);
+      this.applyScreenShake(10, rammed ? 10 : 5);
+    });
+    events.on('shieldRam', e => {
+      this.createExplosion(e.x, e.y, 10, e.size, [100, 150, 255]);
+      this.applyScreenShake(5, 5);
+    });
+    events.on('powerupCollected', e => this.createExplosion(e.x, e.y, 10, e.size, [100, 255, 100]));
+    events.on('shotFired', e => this.createExplosion(e.x, e.y, 5, 5, [255, 200, 50])); // Muzzle flash
+    
+    // Run stats
+    events.on('enemyKilled', e => this.stats.recordKill(e.type));
+    events.on('playerHit', e => this.stats.recordDamage(e.source, e.amount));
+    events.on('powerupCollected', e => this.stats.recordPowerup(e.type));
+    events.on('shotFired', e => this.stats.recordShots(e.count));
+    
+    // Achievements hear everything
+    for (const event in GAME_EVENTS) {
+      events.on(event, data => this.trackAchievements(event, data));
+    }
+    
+    // HUD messages
+    events.on('enemyKilled', e => {
+      if (e.type === 'boss') {
+        this.powerupMessage = `BOSS DEFEATED! +${e.scoreValue} points`;
+        this.powerupMessageTimer = this.powerupMessageDuration;
+      }
+    });
+    events.on('powerupCollected', e => this.showPowerupMessage(e.type, e.player));
+    events.on('levelUp', () => {
+      this.showLevelUpMessage = true;
+      this.levelUpTimer = 120; // Show for 2 seconds
+    });
+  }
+  
+  // Caption for a collected powerup along the bottom of the screen
+  showPowerupMessage(type, collector) {
+    const definition = POWERUP_TYPES[type];
+    let message = `${definition.label}: ${definition.description}`;
+    
+    // Say who got it in co-op
+    if (this.players.length > 1) {
+      message = `P${collector.index + 1} ${message}`;
+    }
+    
+    this.powerupMessage = message;
+    this.powerupMessageTimer = this.powerupMessageDuration;
+  }
+  
+  // In co-op, losing your last life knocks you out instead of ending the run.
+  // A teammate who stays close for long enough brings you back.
+  updateRevives() {
+    for (const player of this.players) {
+      if (!player.isDown) continue;
+      
+      const rescuer = this.players.find(p => !p.isDown &&
+        distance(p.pos.x, p.pos.y, player.pos.x, player.pos.y) < player.REVIVE_RANGE);
+      
+      if (!rescuer) {
+        // Progress drains away when the teammate leaves
+        player.reviveProgress = Math.max(0, player.reviveProgress - 2);
+        continue;
+      }
+      
+      player.reviveProgress++;
+      if (player.reviveProgress >= player.REVIVE_TIME) {
+        player.revive();
+        this.createExplosion(player.pos.x, player.pos.y, 20, 25, [100, 255, 100]);
+        this.playSound("powerup");
+        this.powerupMessage = `PLAYER ${player.index + 1} REVIVED!`;
+        this.powerupMessageTimer = this.powerupMessageDuration;
+      }
+    }
+  }
+  
+  // Closest player still in the fight, for enemies to aim at. Falls back to
+  // player 1 so there is always a target.
+  getNearestPlayer(pos) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    for (const player of this.players) {
+      if (player.isDown) continue;
+      
+      const d = distance(pos.x, pos.y, player.pos.x, player.pos.y);
+      if (d < nearestDistance) {
+        nearest = player;
+        nearestDistance = d;
+      }
+    }
+    return nearest || this.player;
+  }
+  
+  updateBoss(hostilesMove) {
+    const boss = this.boss;
+    if (hostilesMove) {
+      boss.update();
+    }
+    
+    // Player projectiles hit the boss, from the end of the list
+    for (const projectile of this.projectilesNear(boss).reverse()) {
+      if (this.projectileHits(projectile, boss)) {
+        boss.takeDamage(projectile.damage);
+        this.createExplosion(projectile.pos.x, projectile.pos.y, 3, projectile.size);
+        this.projectileLanded(projectile, boss);
+        
+        if (boss.isDefeated()) {
+          this.defeatBoss('shot');
+          return;
+        }
+      }
+    }
+    
+    // Contact with the players
+    for (const player of this.playersNear(boss)) {
+      if (player.isDown || !this.checkCollision(boss, player)) continue;
+      
+      if (player.hasPowerup('shield')) {
+        // Shield ramming chips the boss, but only every so often
+        if (boss.contactCooldown <= 0) {
+          boss.takeDamage(1);
+          boss.contactCooldown = 30;
+          this.events.emit('shieldRam', { player: player, target: 'boss', x: player.pos.x, y: player.pos.y, size: 20 });
+          
+          if (boss.isDefeated()) {
+            this.defeatBoss('shield');
+            return;
+          }
+        }
+      } else if (!player.isInvulnerable) {
+        player.takeDamage(1, 'boss');
+      }
+    }
+  }
+  
+  // The bomb powerup: every enemy and enemy shot on screen is destroyed, and
+  // the boss takes a heavy hit
+  detonateBomb() {
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      this.killEnemy(i, 'bomb');
+    }
+    for (const projectile of this.enemyProjectiles) {
+      this.createExplosion(projectile.pos.x, projectile.pos.y, 3, projectile.size);
+    }
+    recycleAll(this.enemyProjectiles);
+    
+    if (this.boss) {
+      this.boss.takeDamage(this.BOMB_BOSS_DAMAGE);
+      if (this.boss.isDefeated()) {
+        this.defeatBoss('bomb');
+      }
+    }
+    
+    this.applyScreenShake(20, 20);
+    this.playSound("explosion");
+  }
+  
+  // A grenade burst: enemies and the boss in the blast take GRENADE_DAMAGE,
+  // and enemy shots in it are destroyed
+  explodeGrenade(grenade) {
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+      if (!grenade.inBlast(enemy)) continue;
+      
+      enemy.health -= GRENADE_DAMAGE;
+      if (enemy.health <= 0) {
+        this.killEnemy(i, 'grenade');
+      }
+    }
+    for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+      if (grenade.inBlast(this.enemyProjectiles[i])) {
+        recycle(this.enemyProjectiles, i);
+      }
+    }
+    
+    if (this.boss && grenade.inBlast(this.boss)) {
+      this.boss.takeDamage(GRENADE_DAMAGE);
+      if (this.boss.isDefeated()) {
+        this.defeatBoss('grenade');
+      }
+    }
+    
+    this.createExplosion(grenade.pos.x, grenade.pos.y, 30, 40, [240, 225, 180]);
+    this.applyScreenShake(12, 12);
+    this.playSound("explosion");
+  }
+  
+  startBossFight() {
+    this.boss = new Boss(this, Math.floor(this.level / this.BOSS_LEVEL_INTERVAL));
+    this.enemySpawnCounter = 0;
+  }
+  
+  // cause is 'shot', 'shield', 'bomb' or 'grenade', whichever landed the last hit
+  defeatBoss(cause) {
+    const boss = this.boss;
+    this.boss = null;
+    this.bossesDefeated++;
+    
+    // Big score bonus
+    this.score += boss.scoreValue;
+    this.events.emit('enemyKilled', {
+      type: 'boss',
+      cause: cause,
+      x: boss.pos.x,
+      y: boss.pos.y,
+      size: boss.size,
+      color: boss.color,
+      scoreValue: boss.scoreValue
+    });
+    
+    // Guaranteed powerup drop
+    this.powerups.push(new Powerup(this, boss.pos.x, boss.pos.y));
+  }
+  
   updateStars() {
     for (let star of this.stars) {
       star.y += star.speed;
-      if (star.y > height) {
+      if (star.y > this.height) {
         star.y = 0;
-        star.x = random(width);
+        star.x = this.fxRng.random(this.width);
       }
     }
   }
@@ -433,13 +897,18 @@ class Game {
     this.projectiles.forEach(projectile => {
       projectile.display();
     });
+    this.grenades.forEach(grenade => grenade.display());
     
     this.enemies.forEach(enemy => {
       enemy.display();
     });
     
+    if (this.boss) {
+      this.boss.display();
+    }
+    
     this.enemyProjectiles.forEach(projectile => projectile.display());
-    this.player.display();
+    this.players.forEach(player => player.display());
     this.particles.forEach(particle => particle.display());
     
     // Display UI
@@ -452,7 +921,7 @@ class Game {
       fill(255, 255, 0, map(this.levelUpTimer, 0, 120, 0, 255));
       text(`LEVEL ${this.level}`, width / 2, height / 3);
       textSize(24);
-      text("Enemies are getting stronger!", width / 2, height / 3 + 50);
+      text(this.boss ? "WARNING: BOSS APPROACHING!" : "Enemies are getting stronger!", width / 2, height / 3 + 50);
     }
     
     // Show powerup message if active
@@ -463,6 +932,14 @@ class Game {
       fill(100, 255, 100, map(this.powerupMessageTimer, 0, this.powerupMessageDuration, 0, 255));
       text(this.powerupMessage, width / 2, height - 150);
     }
+    
+    // Show wave announcement if active
+    if (this.announcementTimer > 0) {
+      textAlign(CENTER, CENTER);
+      textSize(32);
+      fill(150, 220, 255, map(this.announcementTimer, 0, 150, 0, 255));
+      text(this.announcement, width / 2, height / 4);
+    }
   }
   
   displayHUD() {
@@ -472,15 +949,38 @@ class Game {
     fill(this.colors.scoreText);
     text(`Score: ${this.score}`, 20, 20);
     
+    // Wave progress
+    if (this.waveDirector) {
+      textSize(16);
+      fill(150, 220, 255);
+      text(this.waveDirector.getLabel(), 20, 50);
+      textSize(24);
+      fill(this.colors.scoreText);
+    }
+    
     // Level
     textAlign(CENTER, TOP);
     text(`Level ${this.level}`, width / 2, 20);
     
-    // Level progress bar
-    this.displayLevelProgress();
+    // Boss health replaces the level progress bar during a boss fight
+    if (this.boss) {
+      this.displayBossHealth();
+    } else {
+      this.displayLevelProgress();
+    }
     
-    // Lives
-    this.displayLives();
+    // Lives, or a panel for each player along the bottom in co-op, and the
+    // timed powerups each player has going
+    if (this.players.length > 1) {
+      this.displayPlayerPanel(this.players[0], 20);
+      this.displayPlayerPanel(this.players[1], width - 220);
+      this.displayPowerupTimers(this.players[0], 35, height - 95);
+      this.displayPowerupTimers(this.players[1], width - 205, height - 95);
+    } else {
+      this.displayLives();
+      this.displayGrenades(this.player, width - 30, 75);
+      this.displayPowerupTimers(this.player, 35, 95);
+    }
     
     // Help button - drawn last so it's on top of everything
     fill(this.colors.buttonFill);
@@ -495,7 +995,7 @@ class Game {
     text("?", width - 30, 30);
     
     // Check if help button was clicked
-    if (dist(mouseX, mouseY, width - 30, 30) < 15 && mouseIsPressed) {
+    if (this.gameState === this.GAME_PLAYING && dist(mouseX, mouseY, width - 30, 30) < 15 && mouseIsPressed) {
       this.gameState = this.GAME_HELP;
     }
   }
@@ -525,6 +1025,38 @@ class Game {
     text("NEXT LEVEL", width / 2, y + barHeight + 5);
   }
   
+  displayBossHealth() {
+    const barWidth = 300;
+    const barHeight = 10;
+    const x = width / 2 - barWidth / 2;
+    const y = 50;
+    
+    // Background
+    fill(this.colors.healthBarBg);
+    rect(x, y, barWidth, barHeight, 3);
+    
+    // Health
+    const healthPercent = Math.max(0, this.boss.health / this.boss.maxHealth);
+    fill(this.boss.color);
+    rect(x, y, barWidth * healthPercent, barHeight, 3);
+    
+    // Phase markers
+    stroke(255, 150);
+    strokeWeight(1);
+    for (const phase of BOSS_PHASES) {
+      if (phase.healthAbove > 0) {
+        line(x + barWidth * phase.healthAbove, y, x + barWidth * phase.healthAbove, y + barHeight);
+      }
+    }
+    noStroke();
+    
+    // Label
+    textAlign(CENTER, TOP);
+    textSize(12);
+    fill(255);
+    text(`BOSS - PHASE ${this.boss.phaseIndex + 1}`, width / 2, y + barHeight + 5);
+  }
+  
   displayLives() {
     // Health bar
     const barWidth = 200;
@@ -548,27 +1080,124 @@ class Game {
     }
   }
   
-  displayStartScreen() {
-    // Draw stars
-    fill(255);
-    noStroke();
-    for (let star of this.stars) {
-      ellipse(star.x, star.y, star.size);
+  // A row of icons for a player's timed powerups, each with a ring showing the
+  // time left, the seconds remaining and its stacks. Blinks near the end.
+  displayPowerupTimers(player, x, y) {
+    const size = 26;
+    let iconX = x;
+    
+    for (const name in player.activePowerups) {
+      const type = POWERUP_TYPES[name];
+      const active = player.activePowerups[name];
+      const ending = active.timer < 120;
+      
+      push();
+      translate(iconX, y);
+      if (!ending || this.tick % 20 < 12) {
+        drawPowerupIcon(type, size, this.getPowerupColor(type));
+      }
+      
+      // Time left, as a share of one pickup's duration
+      noFill();
+      stroke(255, 200);
+      strokeWeight(2);
+      const share = Math.min(1, active.timer / type.duration);
+      arc(0, 0, size + 8, size + 8, -HALF_PI, -HALF_PI + TWO_PI * share);
+      
+      noStroke();
+      fill(255);
+      textSize(11);
+      textAlign(CENTER, TOP);
+      text(Math.ceil(active.timer / 60), 0, size / 2 + 6);
+      if (type.tiers) {
+        textAlign(LEFT, BOTTOM);
+        text(`LV${active.stacks}`, size / 2, -size / 2 + 4);
+      } else if (active.stacks > 1) {
+        textAlign(LEFT, BOTTOM);
+        text(`x${active.stacks}`, size / 2, -size / 2 + 4);
+      }
+      pop();
+      
+      iconX += size + 16;
+    }
+  }
+  
+  // Grenade ammo as a row of slots ending at x, filled from the right
+  displayGrenades(player, x, y) {
+    strokeWeight(1);
+    for (let i = 0; i < GRENADE_MAX_AMMO; i++) {
+      if (i < player.grenades) {
+        fill(240, 225, 180);
+        noStroke();
+      } else {
+        noFill();
+        stroke(240, 225, 180, 120);
+      }
+      ellipse(x - i * 16, y, 11);
     }
+    noStroke();
+  }
+  
+  // One co-op player's label, health bar, lives and grenades
+  displayPlayerPanel(player, x) {
+    const barWidth = 200;
+    const barHeight = 15;
+    const y = height - 50;
     
-    // Title
-    textAlign(CENTER, CENTER);
-    textSize(60);
-    fill(this.colors.text);
-    text("SPACE POTATO", width / 2, height / 3);
+    textAlign(LEFT, BOTTOM);
+    textSize(16);
+    fill(player.colors.body);
+    text(`P${player.index + 1}`, x, y - 4);
     
-    // Instructions
-    textSize(20);
-    text("Arrow keys or WASD to move. Left mouse button to shoot.", width / 2, height / 2);
+    if (player.isDown) {
+      fill(255, 100, 100);
+      text("DOWN - get close to revive", x + 30, y - 4);
+    }
+    
+    // Health
+    fill(this.colors.healthBarBg);
+    rect(x, y, barWidth, barHeight, 5);
+    fill(this.colors.healthBar);
+    rect(x, y, barWidth * Math.max(0, player.health / player.maxHealth), barHeight, 5);
+    
+    // Lives icons
+    fill(player.colors.body);
+    for (let i = 0; i < player.lives; i++) {
+      ellipse(x + 8 + i * 25, y + barHeight + 15, 15);
+    }
+    
+    this.displayGrenades(player, x + barWidth - 8, y + barHeight + 15);
+  }
+  
+  displayStartScreen() {
+    // Draw stars
+    fill(255);
+    noStroke();
+    for (let star of this.stars) {
+      ellipse(star.x, star.y, star.size);
+    }
+    
+    // Title
+    textAlign(CENTER, CENTER);
+    textSize(60);
+    fill(this.colors.text);
+    text("SPACE POTATO", width / 2, height / 3);
+    
+    // Instructions
+    textSize(20);
+    if (this.touch.enabled) {
+      text("Drag on the left to move. Hold FIRE or tap AUTO to shoot.", width / 2, height / 2);
+    } else {
+      text("Arrow keys or WASD to move. Hold the left mouse button to shoot.", width / 2, height / 2);
+    }
     
     // Draw buttons
-    this.displayButton("START GAME", width / 2, height * 2/3, 200, 50);
-    this.displayButton("HIGH SCORES", width / 2, height * 2/3 + 70, 200, 50);
+    this.displayButton("START GAME", width / 2 - 105, height * 2/3, 200, 50);
+    this.displayButton("CO-OP", width / 2 + 105, height * 2/3, 200, 50);
+    this.displayButton("HIGH SCORES", width / 2 - 105, height * 2/3 + 70, 200, 50);
+    this.displayButton("SETTINGS", width / 2 + 105, height * 2/3 + 70, 200, 50);
+    this.displayButton("LOAD REPLAY", width / 2 - 105, height * 2/3 + 140, 200, 50);
+    this.displayButton("ACHIEVEMENTS", width / 2 + 105, height * 2/3 + 140, 200, 50);
     
     // Credits
     textSize(16);
@@ -592,7 +1221,7 @@ class Game {
     textAlign(CENTER, CENTER);
     textSize(60);
     fill(this.colors.text);
-    text("GAME OVER", width / 2, height / 4);
+    text("GAME OVER", width / 2, height * 0.12);
     
     // Score
     textSize(24);
@@ -609,33 +1238,106 @@ class Game {
       scoreText += ` - High Score: ${this.highScore}`;
       fill(this.colors.text);
     }
-    text(scoreText, width / 2, height / 3);
+    text(scoreText, width / 2, height * 0.2);
+    
+    // Seed, so the run can be reproduced
+    textSize(16);
+    fill(200);
+    text(`Seed: ${this.seed}`, width / 2, height * 0.2 + 30);
+    
+    // How the run went
+    if (this.runSummary) {
+      this.displayRunSummary(height * 0.28);
+    }
     
     // Draw buttons
     const buttonY = height * 2/3;
     const buttonSpacing = 220;
     
     fill(this.colors.text);
+    this.displayButton("HIGH SCORES", width / 2 - buttonSpacing/2, buttonY, 180, 50);
+    this.displayButton("PLAY AGAIN", width / 2 + buttonSpacing/2, buttonY, 180, 50);
     
-    // High scores button
-    if (this.displayButton("HIGH SCORES", width / 2 - buttonSpacing/2, buttonY, 180, 50)) {
-      this.showHighScores = true;
-    }
-    
-    // Play again button
-    if (this.displayButton("PLAY AGAIN", width / 2 + buttonSpacing/2, buttonY, 180, 50)) {
-      this.startGame();
+    // Replay buttons for the run that just ended
+    if (this.lastReplay) {
+      this.displayButton("WATCH REPLAY", width / 2 - buttonSpacing/2, buttonY + 70, 180, 50);
+      this.displayButton("SAVE REPLAY", width / 2 + buttonSpacing/2, buttonY + 70, 180, 50);
     }
     
     // Show high scores if requested
     if (this.showHighScores) {
-      // Back button on high scores screen
-      if (this.displayButton("BACK", width / 2, height * 0.85, 150, 40)) {
-        this.showHighScores = false;
-      }
+      this.displayHighScores();
     }
   }
   
+  // This run's stats next to the personal bests from before it, then the
+  // breakdowns and lifetime totals
+  displayRunSummary(y) {
+    const stats = this.stats;
+    const bests = this.runSummary.previousBests;
+    const run = LifetimeStats.runValues(stats, this.score);
+    const rowHeight = Math.min(24, height * 0.03);
+    const percent = value => (value === null ? "-" : `${Math.round(value * 100)}%`);
+    
+    const rows = [
+      ["Time survived", 'seconds', value => this.formatPlayTime(value)],
+      ["Highest level", 'level', value => value],
+      ["Enemies killed", 'kills', value => value],
+      ["Accuracy", 'accuracy', percent],
+      ["Powerups", 'powerups', value => value]
+    ];
+    
+    const labelX = width / 2 - 60;
+    const runX = width / 2 + 40;
+    const bestX = width / 2 + 150;
+    
+    textSize(16);
+    textAlign(RIGHT, TOP);
+    fill(this.colors.scoreText);
+    text("THIS RUN", runX, y);
+    text("BEST", bestX, y);
+    
+    rows.forEach(([label, key, format], i) => {
+      const rowY = y + (i + 1) * rowHeight;
+      const value = run[key];
+      const best = bests[key];
+      
+      fill(this.colors.text);
+      text(label, labelX, rowY);
+      text(value === null ? "-" : format(value), runX, rowY);
+      text(best === null ? "-" : format(best), bestX, rowY);
+      
+      // Beat the old best (the first run sets bests but isn't a "new" one)
+      if (value !== null && best !== null && value > best) {
+        textAlign(LEFT, TOP);
+        fill(255, 255, 0);
+        text("NEW BEST!", bestX + 15, rowY);
+        textAlign(RIGHT, TOP);
+      }
+    });
+    
+    // Breakdowns
+    let lineY = y + (rows.length + 1) * rowHeight + 8;
+    textAlign(CENTER, TOP);
+    textSize(14);
+    fill(200);
+    text(`Shots: ${stats.shotsHit} hit of ${stats.shotsFired}`, width / 2, lineY);
+    text(`Kills: ${this.formatCounts(stats.kills)}`, width / 2, lineY + rowHeight * 0.8);
+    text(`Damage taken: ${this.formatCounts(stats.damageTaken)}`, width / 2, lineY + rowHeight * 1.6);
+    
+    // Lifetime totals
+    const totals = this.lifetimeStats.totals;
+    fill(150, 220, 255);
+    text(`Lifetime: ${totals.runs} runs, ${RunStats.sum(totals.kills)} kills, ` +
+         `${this.formatPlayTime(Math.floor(totals.ticks / 60))} played`, width / 2, lineY + rowHeight * 2.4);
+  }
+  
+  // Count table as "basic 5, shooter 2", or "none"
+  formatCounts(counts) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return entries.length > 0 ? entries.map(([name, n]) => `${name} ${n}`).join(", ") : "none";
+  }
+  
   displayPauseScreen() {
     // Semi-transparent overlay
     fill(0, 0, 0, 150);
@@ -645,26 +1347,450 @@ class Game {
     textAlign(CENTER, CENTER);
     textSize(60);
     fill(this.colors.text);
-    text("PAUSED", width / 2, height / 3);
+    text("PAUSED", width / 2, height * 0.2);
     
-    // Instructions
+    // Instructions, or the question being confirmed
     textSize(20);
-    text("Press ESC to resume", width / 2, height / 2);
+    if (this.pauseConfirm === 'restart') {
+      text("Restart the run? This run's score will be lost.", width / 2, height * 0.3);
+    } else if (this.pauseConfirm === 'quit') {
+      text("Quit to the title screen? This run's score will be lost.", width / 2, height * 0.3);
+    } else {
+      text("ESC to resume, M to mute music, arrows and ENTER to choose", width / 2, height * 0.3);
+    }
     
-    // Draw button
-    this.displayButton("RESUME", width / 2, height * 2/3, 200, 50);
+    this.displayPauseMenu();
+  }
+  
+  // Draw the pause menu's buttons, or YES and NO while confirming. Returns the
+  // label of the button under the pointer, so mousePressed can share it.
+  displayPauseMenu() {
+    const labels = this.pauseConfirm ? ["YES", "NO"] : ["RESUME", "RESTART", "SETTINGS", "CONTROLS", "QUIT TO TITLE"];
+    let pressed = null;
+    
+    labels.forEach((label, i) => {
+      if (this.displayButton(label, width / 2, height * 0.4 + i * 60, 240, 46)) {
+        pressed = label;
+      }
+    });
+    return pressed;
+  }
+  
+  pauseMenuPressed() {
+    switch (this.displayPauseMenu()) {
+      case "RESUME":
+        this.resume();
+        break;
+      case "RESTART":
+        this.askPauseConfirm('restart');
+        break;
+      case "SETTINGS":
+        this.openSettings();
+        break;
+      case "CONTROLS":
+        this.openControls();
+        break;
+      case "QUIT TO TITLE":
+        this.askPauseConfirm('quit');
+        break;
+      case "YES":
+        if (this.pauseConfirm === 'restart') {
+          this.startGame();
+        } else {
+          this.quitToTitle();
+        }
+        this.pauseConfirm = null;
+        break;
+      case "NO":
+        this.cancelPauseConfirm();
+        break;
+    }
+  }
+  
+  // Restarting and quitting throw the run away, so they ask first. A
+  // controller or keyboard focus starts on NO.
+  askPauseConfirm(choice) {
+    this.pauseConfirm = choice;
+    if (this.menuFocus >= 0) {
+      this.menuFocus = 1;
+    }
+  }
+  
+  // Back to the full menu, with the focus on the button that asked
+  cancelPauseConfirm() {
+    if (this.menuFocus >= 0) {
+      this.menuFocus = this.pauseConfirm === 'restart' ? 1 : 4;
+    }
+    this.pauseConfirm = null;
+  }
+  
+  // Popups run on real time so they also count down on the game over screen
+  updateAchievementToasts(elapsed) {
+    const toast = this.achievementToasts[0];
+    if (!toast) return;
+    
+    toast.time -= elapsed;
+    if (toast.time <= 0) {
+      this.achievementToasts.shift();
+    }
+  }
+  
+  displayAchievementToasts() {
+    const toast = this.achievementToasts[0];
+    if (!toast) return;
+    
+    // Slide down from the top, then fade out at the end
+    const shown = this.ACHIEVEMENT_TOAST_TIME - toast.time;
+    const y = 80 - 60 * Math.max(0, 1 - shown / 300);
+    const alpha = Math.min(255, toast.time / 500 * 255);
+    
+    rectMode(CENTER);
+    fill(30, 40, 70, alpha * 0.9);
+    stroke(255, 220, 100, alpha);
+    strokeWeight(2);
+    rect(width / 2, y + 25, 320, 56, 8);
+    rectMode(CORNER);
+    noStroke();
+    
+    textAlign(CENTER, TOP);
+    textSize(13);
+    fill(255, 220, 100, alpha);
+    text("ACHIEVEMENT UNLOCKED", width / 2, y + 4);
+    textSize(20);
+    fill(255, alpha);
+    text(toast.achievement.name, width / 2, y + 22);
+  }
+  
+  displayAchievementsScreen() {
+    fill(255);
+    noStroke();
+    for (let star of this.stars) {
+      ellipse(star.x, star.y, star.size);
+    }
+    
+    textAlign(CENTER, CENTER);
+    textSize(40);
+    fill(this.colors.text);
+    text("ACHIEVEMENTS", width / 2, height * 0.1);
+    
+    textSize(18);
+    fill(this.colors.scoreText);
+    text(`${this.achievements.unlockedCount} of ${ACHIEVEMENTS.length} unlocked`, width / 2, height * 0.17);
+    
+    // Two columns of cards, squeezed to fit above the back button
+    const columns = 2;
+    const rows = Math.ceil(ACHIEVEMENTS.length / columns);
+    const cardWidth = Math.min(340, width * 0.44);
+    const cardHeight = Math.min(70, (height * 0.6) / rows - 10);
+    const startY = height * 0.23;
+    
+    ACHIEVEMENTS.forEach((achievement, i) => {
+      const x = width / 2 + (i % columns === 0 ? -cardWidth - 10 : 10);
+      const y = startY + Math.floor(i / columns) * (cardHeight + 10);
+      this.displayAchievementCard(achievement, x, y, cardWidth, cardHeight);
+    });
+    
+    this.displayButton("BACK", width / 2, height * 0.9, 160, 40);
+  }
+  
+  // Name and description, then the unlock date or a progress bar
+  displayAchievementCard(achievement, x, y, w, h) {
+    const progress = this.achievements.progress[achievement.id];
+    const unlocked = this.achievements.isUnlocked(achievement.id);
+    const goal = AchievementTracker.goal(achievement);
+    
+    fill(unlocked ? [50, 70, 110] : [30, 30, 45]);
+    stroke(unlocked ? [255, 220, 100] : [80, 80, 100]);
+    strokeWeight(1);
+    rect(x, y, w, h, 6);
+    noStroke();
+    
+    textAlign(LEFT, TOP);
+    textSize(16);
+    fill(unlocked ? [255, 220, 100] : [170, 170, 170]);
+    text(achievement.name, x + 10, y + 6);
+    textSize(12);
+    fill(unlocked ? 255 : 150);
+    text(achievement.description, x + 10, y + 26, w - 20);
+    
+    if (unlocked) {
+      textAlign(RIGHT, TOP);
+      fill(255, 220, 100);
+      text(progress.unlocked, x + w - 10, y + 8);
+    } else if (goal > 1) {
+      // Bar along the bottom of the card
+      const barY = y + h - 12;
+      fill(this.colors.healthBarBg);
+      rect(x + 10, barY, w - 80, 6, 3);
+      fill(255, 220, 100);
+      rect(x + 10, barY, (w - 80) * this.achievements.getProgress(achievement.id), 6, 3);
+      
+      textAlign(RIGHT, CENTER);
+      fill(200);
+      text(`${progress.count}/${goal}`, x + w - 10, barY + 3);
+    }
+  }
+  
+  openSettings() {
+    this.settingsReturnState = this.gameState;
+    this.gameState = this.GAME_SETTINGS;
+  }
+  
+  closeSettings() {
+    this.gameState = this.settingsReturnState;
+    this.settingsReturnState = null;
+  }
+  
+  // Whether the settings or controls screen was opened from the pause menu
+  isMenuOverPausedRun() {
+    return this.settingsReturnState === this.GAME_PAUSED ||
+           (this.gameState === this.GAME_CONTROLS && this.controlsReturnState === this.GAME_PAUSED);
+  }
+  
+  // Show the paused game or the starfield behind the settings menus
+  displayMenuBackground() {
+    if (this.isMenuOverPausedRun()) {
+      this.displayGame();
+      fill(0, 0, 0, 180);
+      rect(0, 0, width, height);
+    } else {
+      fill(255);
+      noStroke();
+      for (let star of this.stars) {
+        ellipse(star.x, star.y, star.size);
+      }
+    }
+  }
+  
+  displaySettingsScreen() {
+    this.displayMenuBackground();
+    
+    textAlign(CENTER, CENTER);
+    textSize(40);
+    fill(this.colors.text);
+    text("SETTINGS", width / 2, height * 0.1);
+    
+    this.displayVolumeControls(height * 0.2);
+    SETTINGS_OPTIONS.forEach((option, i) => {
+      this.displaySettingRow(option, height * 0.2 + 130 + i * 40);
+    });
+    
+    this.displayButton("CONTROLS", width / 2 - 90, height * 0.9, 160, 40);
+    this.displayButton("BACK", width / 2 + 90, height * 0.9, 160, 40);
+  }
+  
+  // Opened from the settings screen or straight from the pause menu
+  openControls() {
+    this.controlsReturnState = this.gameState;
+    this.gameState = this.GAME_CONTROLS;
+    this.rebinding = null;
+    this.controlsMessage = "";
+  }
+  
+  closeControls() {
+    this.gameState = this.controlsReturnState;
+    this.controlsReturnState = null;
+    this.rebinding = null;
+  }
+  
+  displayControlsScreen() {
+    this.displayMenuBackground();
+    
+    textAlign(CENTER, CENTER);
+    textSize(40);
+    fill(this.colors.text);
+    text("CONTROLS", width / 2, height * 0.08);
+    
+    this.displayBindingRows();
+    
+    // Prompt while waiting for a key, otherwise the last change
+    textAlign(CENTER, CENTER);
+    textSize(18);
+    if (this.rebinding) {
+      const label = BINDABLE_ACTIONS.find(b => b.action === this.rebinding.action).label;
+      fill(255, 255, 0);
+      text(`Press a key for ${label} (ESC to cancel, BACKSPACE to clear)`, width / 2, height * 0.8);
+    } else {
+      fill(this.colors.scoreText);
+      text(this.controlsMessage, width / 2, height * 0.8);
+    }
+    
+    this.displayButton("RESET", width / 2 - 90, height * 0.9, 160, 40);
+    this.displayButton("BACK", width / 2 + 90, height * 0.9, 160, 40);
+  }
+  
+  // One row per action with a button for each of its two keys. Returns the
+  // hovered slot ({ action, slot }), or null.
+  displayBindingRows() {
+    let hovered = null;
+    
+    // Rows squeeze together on short screens so they all fit above the message
+    const spacing = Math.min(38, height * 0.6 / BINDABLE_ACTIONS.length);
+    
+    BINDABLE_ACTIONS.forEach((binding, i) => {
+      const y = height * 0.17 + i * spacing;
+      
+      textAlign(RIGHT, CENTER);
+      textSize(18);
+      fill(this.colors.text);
+      text(binding.label, width / 2 - 130, y);
+      
+      this.keyBindings.getKeys(binding.action).forEach((code, slot) => {
+        const waiting = this.rebinding && this.rebinding.action === binding.action && this.rebinding.slot === slot;
+        const label = waiting ? "..." : KeyBindings.keyLabel(code);
+        if (this.displayButton(label, width / 2 - 50 + slot * 150, y, 140, Math.min(32, spacing - 4))) {
+          hovered = { action: binding.action, slot: slot };
+        }
+      });
+    });
+    
+    return hovered;
+  }
+  
+  // Bind the key pressed while waiting on the controls screen
+  captureBinding(code) {
+    const { action, slot } = this.rebinding;
+    this.rebinding = null;
+    
+    if (code === 'Escape') {
+      this.controlsMessage = "";
+      return;
+    }
+    if (code === 'Backspace') {
+      this.keyBindings.clear(action, slot);
+      this.controlsMessage = "";
+      return;
+    }
+    
+    // A key that's already in use swaps places with this slot's old key
+    const conflict = this.keyBindings.findConflict(action, slot, code);
+    this.keyBindings.bind(action, slot, code);
+    
+    if (conflict && conflict.action !== action) {
+      const other = BINDABLE_ACTIONS.find(b => b.action === conflict.action).label;
+      this.controlsMessage = `${KeyBindings.keyLabel(code)} was used by ${other} - swapped`;
+    } else {
+      this.controlsMessage = "";
+    }
+  }
+  
+  // One option with < and > buttons to cycle its value. Returns the direction
+  // the hovered button would cycle (-1 or 1), or 0.
+  displaySettingRow(option, y) {
+    let hovered = 0;
+    
+    textAlign(RIGHT, CENTER);
+    textSize(18);
+    fill(this.colors.text);
+    text(option.label, width / 2 - 90, y);
+    
+    if (this.displayButton("<", width / 2 - 55, y, 30, 30)) {
+      hovered = -1;
+    }
+    
+    textAlign(CENTER, CENTER);
+    textSize(18);
+    fill(this.colors.scoreText);
+    text(this.settings.getLabel(option.key), width / 2 + 20, y);
+    
+    if (this.displayButton(">", width / 2 + 95, y, 30, 30)) {
+      hovered = 1;
+    }
+    
+    return hovered;
+  }
+  
+  // Change a setting and apply it straight away
+  changeSetting(key, direction) {
+    const value = this.settings.cycle(key, direction);
+    
+    switch (key) {
+      case 'palette':
+        // Recolor enemies already on screen
+        for (const enemy of this.enemies) {
+          enemy.color = this.getEnemyColor(enemy.definition);
+        }
+        break;
+      case 'difficulty':
+        // A run in progress switches too; recorded so replays stay in sync
+        if (this.settingsReturnState === this.GAME_PAUSED) {
+          this.handleInput({ action: 'difficulty', preset: value });
+        }
+        break;
+    }
+  }
+  
+  // Master/SFX/music volume rows with - and + buttons. Returns the change the
+  // hovered button would make ({ channel, delta } or { channel, toggleMute }),
+  // or null.
+  displayVolumeControls(y) {
+    const channels = [["MASTER", 'master'], ["SFX", 'sfx'], ["MUSIC", 'music']];
+    let hovered = null;
+    
+    channels.forEach(([label, channel], i) => {
+      const rowY = y + i * 40;
+      
+      textAlign(RIGHT, CENTER);
+      textSize(18);
+      fill(this.colors.text);
+      text(label, width / 2 - 90, rowY);
+      
+      if (this.displayButton("-", width / 2 - 55, rowY, 30, 30)) {
+        hovered = { channel: channel, delta: -0.1 };
+      }
+      
+      // Volume bar
+      const volume = this.sound.getVolume(channel);
+      fill(this.colors.healthBarBg);
+      rect(width / 2 - 35, rowY - 5, 100, 10, 3);
+      fill(this.colors.healthBar);
+      rect(width / 2 - 35, rowY - 5, 100 * volume, 10, 3);
+      
+      if (this.displayButton("+", width / 2 + 95, rowY, 30, 30)) {
+        hovered = { channel: channel, delta: 0.1 };
+      }
+      
+      // Music can be muted on its own
+      if (channel === 'music') {
+        const label = this.sound.isMuted('music') ? "UNMUTE" : "MUTE";
+        if (this.displayButton(label, width / 2 + 165, rowY, 90, 30)) {
+          hovered = { channel: channel, toggleMute: true };
+        }
+      }
+    });
+    
+    return hovered;
   }
   
   displayButton(label, x, y, w, h) {
     rectMode(CENTER);
     
-    // Check if mouse is over button
-    const isHover = mouseX > x - w/2 && mouseX < x + w/2 && 
-                    mouseY > y - h/2 && mouseY < y + h/2;
+    // Remember buttons drawn this frame so the d-pad can move between them
+    let index = -1;
+    if (this.collectingButtons) {
+      index = this.menuButtons.push({ x: x, y: y, w: w, h: h }) - 1;
+    }
+    const isFocused = index >= 0 && index === this.menuFocus && this.menuFocusState === this.gameState;
+    
+    // Check if mouse (or a controller activating the button) is over button.
+    // Fingers are less precise, so touch mode is more forgiving.
+    const pointerX = this.virtualPointer ? this.virtualPointer.x : mouseX;
+    const pointerY = this.virtualPointer ? this.virtualPointer.y : mouseY;
+    const margin = this.touch.enabled ? 10 : 0;
+    const isHover = pointerX > x - w/2 - margin && pointerX < x + w/2 + margin && 
+                    pointerY > y - h/2 - margin && pointerY < y + h/2 + margin;
     
     // Draw button
-    fill(isHover ? this.colors.buttonHover : this.colors.buttonFill);
-    rect(x, y, w, h, 10);
+    fill(isHover || isFocused ? this.colors.buttonHover : this.colors.buttonFill);
+    if (isFocused) {
+      push();
+      stroke(255);
+      strokeWeight(3);
+      rect(x, y, w, h, 10);
+      pop();
+    } else {
+      rect(x, y, w, h, 10);
+    }
     
     // Draw label
     textAlign(CENTER, CENTER);
@@ -677,32 +1803,133 @@ class Game {
   }
   
   // Game state management
-  startGame() {
+  startGame(seed = this.pickSeed()) {
     this.gameState = this.GAME_PLAYING;
-    this.resetGame();
+    this.difficulty = this.settings.get('difficulty');
+    this.resetGame(seed);
+    
+    // Record this run's inputs so it can be replayed
+    this.recording = new Replay(this.seed, this.width, this.height);
+    this.recording.waves = this.waveData;
+    this.recording.difficulty = this.difficulty;
+    this.recording.players = this.players.length;
   }
   
-  resetGame() {
-    this.player = new Player();
-    this.projectiles = [];
+  // Seed for the next run: the forced seed if one is set, otherwise a fresh one
+  pickSeed() {
+    return this.fixedSeed !== null ? this.fixedSeed : SeededRandom.randomSeed();
+  }
+  
+  // Waves and player count default to the loaded wave file and the chosen
+  // mode; replays pass the ones they were recorded with
+  resetGame(seed = this.pickSeed(), waves = this.waveData, playerCount = this.coop ? 2 : 1) {
+    // Re-seed both random streams so the run is reproducible from its seed
+    this.seed = seed >>> 0;
+    this.rng.setSeed(this.seed);
+    this.fxRng.setSeed(this.seed ^ 0x9E3779B9);
+    this.tick = 0;
+    this.accumulator = 0;
+    
+    // Fresh starfield from the new seed so effects replay identically too
+    this.stars = this.createStars(200);
+    
+    this.players = [];
+    for (let i = 0; i < playerCount; i++) {
+      this.players.push(new Player(this, i, playerCount));
+    }
+    this.player = this.players[0];
+    recycleAll(this.projectiles);
     this.enemies = [];
-    this.enemyProjectiles = [];
-    this.particles = [];
+    recycleAll(this.enemyProjectiles);
+    recycleAll(this.particles);
     this.powerups = [];
+    this.grenades = [];
     this.score = 0;
     this.level = 1;
+    this.stats = new RunStats();
+    this.runSummary = null;
+    this.levelStartDamage = 0; // Damage taken before the current level began
     this.enemySpawnRate = 120;
     this.enemySpawnCounter = 0;
     this.difficultyTimer = 0;
+    this.boss = null;
+    this.bossesDefeated = 0;
+    this.hostileClock = 0;
+    this.waveDirector = waves ? new WaveDirector(this, waves) : null;
+    this.announcementTimer = 0;
+    this.analogMoves = {};
+    this.fireSources = {};
+  }
+  
+  // Use parsed wave file data for new runs. Invalid data is reported and
+  // ignored, leaving the random spawner in charge.
+  setWaves(data) {
+    try {
+      this.waveData = WaveDirector.validate(data);
+    } catch (e) {
+      logger.warn('waves', "Could not load waves:", e);
+      this.waveData = null;
+    }
+  }
+  
+  // Count a gameplay event towards achievements and pop up any it unlocks.
+  // Watching a replay doesn't count.
+  trackAchievements(event, data) {
+    if (this.isReplaying()) return;
+    
+    for (const achievement of this.achievements.handleEvent(event, data)) {
+      this.achievementToasts.push({ achievement: achievement, time: this.ACHIEVEMENT_TOAST_TIME });
+      this.playSound("levelUp");
+    }
+  }
+  
+  // Big centered message, e.g. the start of a new wave
+  announce(message) {
+    this.announcement = message;
+    this.announcementTimer = 150;
   }
   
   gameOver() {
-    // Check if score qualifies for high score before changing state
-    if (this.isHighScore(this.score)) {
+    this.events.emit('gameOver', {
+      score: this.score,
+      seconds: this.stats.seconds,
+      level: this.stats.highestLevel,
+      accuracy: this.stats.accuracy,
+      shotsFired: this.stats.shotsFired
+    });
+    
+    // A replay ends where the recorded run ended; nothing is saved
+    if (this.isReplaying()) {
+      this.replayPlayer.finished = true;
+      return;
+    }
+    
+    // Fold the run into the lifetime totals, keeping the old bests to compare with
+    this.runSummary = {
+      previousBests: this.lifetimeStats.addRun(this.stats, this.score)
+    };
+    
+    // Finish the recording of this run
+    if (this.recording) {
+      this.recording.finish(this.tick, this.score, this.level);
+      this.lastReplay = this.recording;
+      this.recording = null;
+      this.storeLastReplay(this.lastReplay);
+    }
+    
+    // Ask for a name for a local high score, or for any score when there's an
+    // online leaderboard to send it to
+    this.isLocalHighScore = this.isHighScore(this.score);
+    if (this.isLocalHighScore || (this.leaderboard.enabled && this.score > 0)) {
       this.isNewHighScore = this.score > 0 && this.highScores.length > 0 && 
                          this.score >= this.highScores[0].score;
       this.gameState = this.GAME_NAME_ENTRY;
-      this.playerName = ""; // Clear the player name for entry
+      
+      // Start from the name last sent online, if there is one; otherwise keep
+      // the last name typed in
+      if (this.leaderboard.enabled && this.leaderboard.playerName) {
+        this.playerName = this.leaderboard.playerName;
+      }
     } else {
       this.gameState = this.GAME_OVER;
       // Just save with default name if not a high score
@@ -710,102 +1937,606 @@ class Game {
     }
   }
   
-  togglePause() {
-    if (this.gameState === this.GAME_PLAYING) {
-      this.gameState = this.GAME_PAUSED;
-    } else if (this.gameState === this.GAME_PAUSED) {
-      this.gameState = this.GAME_PLAYING;
+  togglePause() {
+    if (this.gameState === this.GAME_PLAYING) {
+      this.pause();
+    } else if (this.pauseConfirm) {
+      this.cancelPauseConfirm();
+    } else if (this.gameState === this.GAME_PAUSED) {
+      this.resume();
+    }
+  }
+  
+  pause() {
+    this.gameState = this.GAME_PAUSED;
+    this.pauseConfirm = null;
+    this.releaseHeldInputs();
+  }
+  
+  resume() {
+    this.gameState = this.GAME_PLAYING;
+  }
+  
+  // The window lost focus or the tab was hidden: pause a run in progress
+  autoPause() {
+    if (this.gameState === this.GAME_PLAYING) {
+      this.pause();
+    }
+  }
+  
+  // Keys let go while paused (or in another window) never reach the game, so
+  // let go of everything when pausing instead of moving on by itself after
+  // resuming. Fire follows its sources again as soon as play resumes.
+  releaseHeldInputs() {
+    this.players.forEach((player, index) => {
+      const held = { left: player.isMovingLeft, right: player.isMovingRight, up: player.isMovingUp, down: player.isMovingDown };
+      for (const direction in held) {
+        if (held[direction]) {
+          this.handleInput(this.playerInput(index, { action: direction, pressed: false }));
+        }
+      }
+    });
+    
+    for (const sources of Object.values(this.fireSources)) {
+      for (const source in sources) {
+        sources[source] = false;
+      }
+    }
+  }
+  
+  // Abandon the run in progress without recording it
+  quitToTitle() {
+    this.recording = null;
+    this.gameState = this.GAME_START;
+  }
+  
+  // Utility functions
+  createExplosion(x, y, particleCount = 10, size = 20, particleColor) {
+    // Scale by the particle density setting, but always show something
+    const wanted = Math.max(1, Math.round(particleCount * this.settings.getParticleDensity()));
+    const count = this.particleAllowance(wanted);
+    for (let i = 0; i < count; i++) {
+      this.particles.push(this.particlePool.acquire(x, y, size, particleColor));
+    }
+  }
+  
+  createSpark(x, y, angle, speed, size, sparkColor) {
+    if (this.particleAllowance(1) > 0) {
+      this.particles.push(this.sparkPool.acquire(x, y, angle, speed, size, sparkColor));
+    }
+  }
+  
+  // How many of the wanted particles fit the budget: all of them while it's
+  // less than half used, then fewer and fewer (but at least one) until it's
+  // full, and none after that
+  particleAllowance(wanted) {
+    const free = this.particleBudget - this.particles.length;
+    if (free <= 0) return 0;
+    
+    const scale = Math.min(1, free / this.particleBudget * 2);
+    return Math.min(free, Math.max(1, Math.round(wanted * scale)));
+  }
+  
+  // Ask the renderer to shake the screen
+  applyScreenShake(intensity, duration) {
+    this.screenShake = duration;
+    this.shakeAmount = intensity;
+  }
+  
+  spawnEnemy() {
+    // Spawn weights for every registered type at the current level
+    const types = Object.values(ENEMY_TYPES);
+    const weights = types.map(type => getSpawnWeight(type, this.level));
+    
+    // Normalize weights
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const normalizedWeights = weights.map(w => w / totalWeight);
+    
+    // Random weighted selection
+    const rand = this.rng.random();
+    let cumulativeWeight = 0;
+    let selectedType = types[0].name;
+    
+    for (let i = 0; i < normalizedWeights.length; i++) {
+      cumulativeWeight += normalizedWeights[i];
+      if (rand < cumulativeWeight) {
+        selectedType = types[i].name;
+        break;
+      }
+    }
+    
+    // Create enemy
+    const x = this.rng.random(this.width);
+    const enemy = new Enemy(this, x, -50, selectedType, this.level);
+    this.enemies.push(enemy);
+  }
+  
+  increaseDifficulty() {
+    this.level++;
+    this.enemySpawnRate = Math.max(40, this.enemySpawnRate - 10);
+    
+    // Damage taken during the level just cleared
+    const damageTaken = this.stats.totalDamage - this.levelStartDamage;
+    this.levelStartDamage = this.stats.totalDamage;
+    
+    // Update background color to reflect the new level
+    this.updateBackgroundColor();
+    
+    // Boss fight at every milestone level
+    if (this.level % this.BOSS_LEVEL_INTERVAL === 0) {
+      this.startBossFight();
+    }
+    
+    this.events.emit('levelUp', { level: this.level, damageTaken: damageTaken });
+  }
+  
+  // Gameplay input - recorded with the tick it applies to, then applied
+  handleInput(input) {
+    this.recordInput(input);
+    this.applyInput(input);
+  }
+  
+  recordInput(input) {
+    if (this.recording) {
+      this.recording.record(this.tick, input);
+    }
+  }
+  
+  // Apply a gameplay input, either live or from a replay
+  applyInput(input) {
+    // Player 2's inputs carry player: 1
+    const player = this.players[input.player || 0];
+    if (!player) return;
+    
+    switch (input.action) {
+      case 'left':
+        player.isMovingLeft = input.pressed;
+        break;
+      case 'right':
+        player.isMovingRight = input.pressed;
+        break;
+      case 'up':
+        player.isMovingUp = input.pressed;
+        break;
+      case 'down':
+        player.isMovingDown = input.pressed;
+        break;
+      case 'shoot':
+        if (input.pressed === undefined) {
+          // Single shot, from replays made before shoot could be held
+          player.shoot();
+        } else {
+          player.isShooting = input.pressed;
+        }
+        break;
+      case 'resize':
+        this.width = input.width;
+        this.height = input.height;
+        this.players.forEach(p => p.updateBoundaries());
+        break;
+      case 'difficulty':
+        // An unknown preset would leave the run without spawn or speed tuning
+        if (isDifficultyPreset(input.preset)) {
+          this.difficulty = input.preset;
+        } else {
+          logger.warn('replay', `Ignoring unknown difficulty: ${input.preset}`);
+        }
+        break;
+      case 'move':
+        player.moveAxis.set(input.x, input.y);
+        break;
+      case 'special':
+        player.throwGrenade();
+        break;
+    }
+  }
+  
+  // Tag an input with the player it's for. Player 1's inputs stay untagged,
+  // so solo recordings look the same as they always have.
+  playerInput(index, input) {
+    if (index > 0) {
+      input.player = index;
+    }
+    return input;
+  }
+  
+  // Tuning for the current run's difficulty preset
+  getDifficulty() {
+    return DIFFICULTY_PRESETS[this.difficulty];
+  }
+  
+  // Enemy type color in the current palette
+  getEnemyColor(type) {
+    return this.settings.get('palette') === 'colorblind' ? type.colorblindColor : type.color;
+  }
+  
+  // Powerup type color in the current palette
+  getPowerupColor(type) {
+    return this.settings.get('palette') === 'colorblind' ? type.colorblindColor : type.color;
+  }
+  
+  // Replay playback
+  startReplay(replay) {
+    // Recreate the playfield the run was recorded on
+    this.recording = null;
+    this.width = replay.width;
+    this.height = replay.height;
+    
+    this.difficulty = replay.difficulty;
+    this.resetGame(replay.seed, replay.waves, replay.players);
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.gameState = this.GAME_REPLAY;
+  }
+  
+  updateReplay() {
+    const player = this.replayPlayer;
+    if (player.paused || player.finished) return;
+    
+    // Fast-forward by running several simulation ticks per step
+    for (let i = 0; i < player.speed && !player.finished; i++) {
+      for (const input of player.nextEvents(this.tick)) {
+        this.applyInput(input);
+      }
+      
+      this.updateGame();
+      
+      // Stop at the recorded end in case the run was cut short
+      if (player.replay.ticks > 0 && this.tick >= player.replay.ticks) {
+        player.finished = true;
+      }
+    }
+  }
+  
+  exitReplay() {
+    this.replayPlayer = null;
+    this.gameState = this.GAME_START;
+    
+    // Go back to the window-sized playfield
+    windowResized();
+  }
+  
+  isReplaying() {
+    return this.gameState === this.GAME_REPLAY;
+  }
+  
+  // Screens made of buttons, where the arrow keys and d-pad move the focus
+  isMenuScreen() {
+    return [this.GAME_START, this.GAME_OVER, this.GAME_PAUSED, this.GAME_SETTINGS,
+            this.GAME_CONTROLS, this.GAME_ACHIEVEMENTS].includes(this.gameState);
+  }
+  
+  displayReplayControls() {
+    const player = this.replayPlayer;
+    const barY = height - 40;
+    
+    // Progress bar
+    const barWidth = 480;
+    const x = width / 2 - barWidth / 2;
+    fill(this.colors.healthBarBg);
+    noStroke();
+    rect(x, barY - 45, barWidth, 6, 3);
+    fill(255, 220, 100);
+    rect(x, barY - 45, barWidth * player.progress(this.tick), 6, 3);
+    
+    // Label
+    textAlign(CENTER, BOTTOM);
+    textSize(14);
+    fill(255);
+    text(`REPLAY - Seed: ${player.replay.seed}`, width / 2, barY - 50);
+    
+    // Buttons
+    const playLabel = player.finished ? "RESTART" : (player.paused ? "PLAY" : "PAUSE");
+    this.displayButton(playLabel, width / 2 - 170, barY, 140, 36);
+    this.displayButton(`SPEED ${player.speed}x`, width / 2, barY, 140, 36);
+    this.displayButton("EXIT", width / 2 + 170, barY, 140, 36);
+    
+    // End of replay message
+    if (player.finished) {
+      textAlign(CENTER, CENTER);
+      textSize(40);
+      fill(255, 255, 0);
+      text("REPLAY COMPLETE", width / 2, height / 3);
+      textSize(24);
+      fill(this.colors.text);
+      text(`Final Score: ${this.score}`, width / 2, height / 3 + 50);
+    }
+    
+    // Keyboard hint
+    textAlign(CENTER, TOP);
+    textSize(12);
+    fill(200);
+    text("SPACE: play/pause   F: fast-forward   ESC: exit", width / 2, barY + 22);
+  }
+  
+  // Restart the replay being watched, or toggle pause
+  replayPlayPause() {
+    if (this.replayPlayer.finished) {
+      this.startReplay(this.replayPlayer.replay);
+    } else {
+      this.replayPlayer.togglePause();
+    }
+  }
+  
+  saveReplay(replay) {
+    saveJSON(replay.toJSON(), `spacepotato-replay-${replay.seed}.json`);
+  }
+  
+  // Keep the most recent run around between sessions
+  storeLastReplay(replay) {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem('spacePotatoLastReplay', JSON.stringify(replay.toJSON()));
+    } catch (e) {
+      logger.warn('storage', "Error saving last replay:", e);
+    }
+  }
+  
+  loadLastReplay() {
+    if (!this.storage) return null;
+    
+    try {
+      const saved = this.storage.getItem('spacePotatoLastReplay');
+      return saved ? Replay.fromJSON(JSON.parse(saved)) : null;
+    } catch (e) {
+      logger.warn('storage', "Error loading last replay:", e);
+      return null;
+    }
+  }
+  
+  // Controller input, polled once per frame
+  updateGamepad() {
+    const pad = this.gamepad;
+    
+    // The controller plays player 2 in co-op, leaving player 1 on the keyboard
+    const padPlayer = this.players.length > 1 ? 1 : 0;
+    
+    if (!pad.poll()) {
+      this.setFireHeld('gamepad', false, padPlayer);
+      return;
+    }
+    
+    // A or the right trigger shoots
+    this.setFireHeld('gamepad', pad.isDown('a') || pad.isDown('rightTrigger'), padPlayer);
+    
+    // Start pauses and resumes, and backs out of the settings screen
+    if (pad.justPressed('start')) {
+      this.startAudioContext();
+      if (this.gameState === this.GAME_CONTROLS) {
+        this.closeControls();
+      } else if (this.gameState === this.GAME_SETTINGS) {
+        this.closeSettings();
+      } else if (this.gameState === this.GAME_ACHIEVEMENTS) {
+        this.gameState = this.GAME_START;
+      } else {
+        this.togglePause();
+      }
+      return;
+    }
+    
+    if (this.gameState === this.GAME_PLAYING) {
+      this.sendAnalogMove('gamepad', pad.stick, padPlayer);
+      
+      // X or the right bumper throws a grenade
+      if (pad.justPressed('x') || pad.justPressed('rightBumper')) {
+        this.handleInput(this.playerInput(padPlayer, { action: 'special' }));
+      }
+      
+      // D-pad moves like the arrow keys
+      for (const direction of ['left', 'right', 'up', 'down']) {
+        if (pad.justPressed(direction)) {
+          this.handleInput(this.playerInput(padPlayer, { action: direction, pressed: true }));
+        }
+        if (!pad.isDown(direction) && pad.previousButtons[direction]) {
+          this.handleInput(this.playerInput(padPlayer, { action: direction, pressed: false }));
+        }
+      }
+      return;
+    }
+    
+    // Menus: d-pad moves between buttons, A presses, B goes back
+    if (pad.justPressed('up')) this.moveMenuFocus(0, -1);
+    if (pad.justPressed('down')) this.moveMenuFocus(0, 1);
+    if (pad.justPressed('left')) this.moveMenuFocus(-1, 0);
+    if (pad.justPressed('right')) this.moveMenuFocus(1, 0);
+    
+    if (pad.justPressed('a')) {
+      this.startAudioContext();
+      this.activateMenuFocus();
+    } else if (pad.justPressed('b')) {
+      if (this.gameState === this.GAME_CONTROLS) {
+        this.closeControls();
+      } else if (this.gameState === this.GAME_SETTINGS) {
+        this.closeSettings();
+      } else if (this.gameState === this.GAME_PAUSED) {
+        this.togglePause();
+      } else if (this.gameState === this.GAME_ACHIEVEMENTS) {
+        this.gameState = this.GAME_START;
+      }
+    }
+  }
+  
+  // On-screen touch controls, updated once per frame
+  updateTouch() {
+    const touch = this.touch;
+    if (!touch.enabled) return;
+    
+    const taps = touch.update(touches);
+    this.setFireHeld('touch', touch.firing);
+    if (this.gameState !== this.GAME_PLAYING) return;
+    
+    if (taps.includes('pause')) {
+      this.togglePause();
+      return;
+    }
+    if (taps.includes('autoFire')) {
+      this.changeSetting('autoFire', 1);
+    }
+    if (taps.includes('special')) {
+      this.handleInput({ action: 'special' });
+    }
+    
+    this.sendAnalogMove('touch', touch.stick);
+  }
+  
+  // Mark an input source as holding or releasing fire for a player
+  setFireHeld(source, held, player = 0) {
+    if (!this.fireSources[player]) {
+      this.fireSources[player] = {};
     }
+    this.fireSources[player][source] = held;
   }
   
-  // Utility functions
-  createExplosion(x, y, particleCount = 10, size = 20, particleColor) {
-    for (let i = 0; i < particleCount; i++) {
-      this.particles.push(new Particle(x, y, size, particleColor));
+  // A player fires while any of their sources holds fire or auto-fire is on.
+  // Only changes are sent, so replays record when firing starts and stops and
+  // the shots themselves come from the simulation tick.
+  updateFire() {
+    if (this.gameState !== this.GAME_PLAYING) return;
+    
+    const autoFire = this.settings.get('autoFire');
+    this.players.forEach((player, index) => {
+      const sources = this.fireSources[index] || {};
+      const held = autoFire || Object.values(sources).some(Boolean);
+      if (held !== player.isShooting) {
+        this.handleInput(this.playerInput(index, { action: 'shoot', pressed: held }));
+      }
+    });
+  }
+  
+  // Analog movement from a stick, rounded so tiny wobbles don't flood the
+  // replay and only sent when that source's reading changes
+  sendAnalogMove(source, stick, player = 0) {
+    const x = Math.round(stick.x * 20) / 20;
+    const y = Math.round(stick.y * 20) / 20;
+    const last = this.analogMoves[source] || { x: 0, y: 0 };
+    
+    if (x !== last.x || y !== last.y) {
+      this.analogMoves[source] = { x: x, y: y };
+      this.handleInput(this.playerInput(player, { action: 'move', x: x, y: y }));
     }
   }
   
-  spawnEnemy() {
-    const types = ['basic', 'shooter', 'bomber', 'zigzag'];
-    const weights = [1, 0.6, 0.4, 0.5]; // Spawn probability weights
-    
-    // Adjust weights based on level
-    if (this.level >= 2) weights[1] = 0.8;
-    if (this.level >= 3) weights[2] = 0.6;
-    if (this.level >= 4) weights[3] = 0.7;
-    
-    // Normalize weights
-    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    const normalizedWeights = weights.map(w => w / totalWeight);
+  // First touch switches the game into touch mode
+  enableTouch() {
+    this.touch.enabled = true;
+  }
+  
+  // Move the controller focus to the nearest button in a direction
+  moveMenuFocus(dx, dy) {
+    const buttons = this.menuButtons;
+    if (buttons.length === 0) return;
+    
+    // Start from the first button on a new screen
+    if (this.menuFocusState !== this.gameState || this.menuFocus < 0 || this.menuFocus >= buttons.length) {
+      this.menuFocus = 0;
+      this.menuFocusState = this.gameState;
+      return;
+    }
     
-    // Random weighted selection
-    const rand = random();
-    let cumulativeWeight = 0;
-    let selectedType = types[0];
+    const from = buttons[this.menuFocus];
+    let best = -1;
+    let bestScore = Infinity;
     
-    for (let i = 0; i < normalizedWeights.length; i++) {
-      cumulativeWeight += normalizedWeights[i];
-      if (rand < cumulativeWeight) {
-        selectedType = types[i];
-        break;
+    buttons.forEach((button, i) => {
+      const offsetX = button.x - from.x;
+      const offsetY = button.y - from.y;
+      const along = offsetX * dx + offsetY * dy;
+      if (i === this.menuFocus || along <= 0) return;
+      
+      // Prefer buttons straight ahead over ones off to the side
+      const across = Math.abs(offsetX * dy) + Math.abs(offsetY * dx);
+      const score = along + across * 2;
+      if (score < bestScore) {
+        bestScore = score;
+        best = i;
       }
-    }
+    });
     
-    // Create enemy
-    const x = random(width);
-    const enemy = new Enemy(x, -50, selectedType, this.level);
-    this.enemies.push(enemy);
+    if (best >= 0) {
+      this.menuFocus = best;
+    }
   }
   
-  increaseDifficulty() {
-    this.level++;
-    this.enemySpawnRate = max(40, this.enemySpawnRate - 10);
-    
-    // Update background color to reflect the new level
-    this.updateBackgroundColor();
+  // Press the focused button as if it had been clicked
+  activateMenuFocus() {
+    const button = this.menuButtons[this.menuFocus];
+    if (!button || this.menuFocusState !== this.gameState) {
+      this.moveMenuFocus(0, 0);
+      return;
+    }
     
-    // Display level up message
-    this.showLevelUpMessage = true;
-    this.levelUpTimer = 120; // Show for 2 seconds
+    this.virtualPointer = { x: button.x, y: button.y };
+    this.mousePressed();
+    this.virtualPointer = null;
   }
   
   // Input handling
+  mouseReleased() {
+    this.setFireHeld('mouse', false);
+  }
+  
   mousePressed() {
     // Start audio context on any user interaction
     this.startAudioContext();
     
+    // Clicking with the mouse hides the controller focus
+    if (!this.virtualPointer) {
+      this.menuFocus = -1;
+    }
+    
     switch(this.gameState) {
       case this.GAME_START:
-        if (this.displayButton("START GAME", width / 2, height * 2/3, 200, 50)) {
+        if (this.displayButton("START GAME", width / 2 - 105, height * 2/3, 200, 50)) {
+          this.coop = false;
+          this.startGame();
+        }
+        if (this.displayButton("CO-OP", width / 2 + 105, height * 2/3, 200, 50)) {
+          this.coop = true;
           this.startGame();
         }
         
         // High scores button on start screen
-        if (this.displayButton("HIGH SCORES", width / 2, height * 2/3 + 70, 200, 50)) {
+        if (this.displayButton("HIGH SCORES", width / 2 - 105, height * 2/3 + 70, 200, 50)) {
           this.showHighScores = true;
         }
         
         // Show high scores if requested
         if (this.showHighScores) {
-          if (this.displayButton("BACK", width / 2, height * 0.85, 150, 40)) {
-            this.showHighScores = false;
-          }
+          this.highScoresPressed();
           return; // Skip other processing when showing high scores
         }
-        break;
         
+        // Load a replay file to watch
+        if (this.displayButton("LOAD REPLAY", width / 2 - 105, height * 2/3 + 140, 200, 50)) {
+          pickReplayFile(replay => this.startReplay(replay));
+        }
+        
+        if (this.displayButton("ACHIEVEMENTS", width / 2 + 105, height * 2/3 + 140, 200, 50)) {
+          this.gameState = this.GAME_ACHIEVEMENTS;
+        }
+        
+        if (this.displayButton("SETTINGS", width / 2 + 105, height * 2/3 + 70, 200, 50)) {
+          this.openSettings();
+        }
+        break;
+      
       case this.GAME_PLAYING:
         // Check if help button was clicked
         if (dist(mouseX, mouseY, width - 30, 30) < 15) {
           this.gameState = this.GAME_HELP;
         } else {
-          // Otherwise shoot
-          this.player.shoot();
-          this.playSound("shoot");
+          // Otherwise fire until the button is released
+          this.setFireHeld('mouse', true);
         }
         break;
-        
+      
       case this.GAME_OVER:
+        // The high scores screen covers the other buttons
+        if (this.showHighScores) {
+          this.highScoresPressed();
+          break;
+        }
+        
         // High scores button
         if (this.displayButton("HIGH SCORES", width / 2 - 110, height * 2/3, 180, 50)) {
           this.showHighScores = true;
@@ -816,33 +2547,105 @@ class Game {
           this.startGame();
         }
         
-        // Show high scores if requested
-        if (this.showHighScores) {
-          // Back button on high scores screen
-          if (this.displayButton("BACK", width / 2, height * 0.85, 150, 40)) {
-            this.showHighScores = false;
+        // Replay buttons
+        if (this.lastReplay) {
+          if (this.displayButton("WATCH REPLAY", width / 2 - 110, height * 2/3 + 70, 180, 50)) {
+            this.startReplay(this.lastReplay);
+            break;
+          }
+          if (this.displayButton("SAVE REPLAY", width / 2 + 110, height * 2/3 + 70, 180, 50)) {
+            this.saveReplay(this.lastReplay);
           }
         }
         break;
-        
+      
       case this.GAME_PAUSED:
-        if (this.displayButton("RESUME", width / 2, height * 2/3, 200, 50)) {
-          this.togglePause();
-        }
+        this.pauseMenuPressed();
         break;
+      
+      case this.GAME_SETTINGS: {
+        const change = this.displayVolumeControls(height * 0.2);
+        if (change && change.toggleMute) {
+          this.sound.toggleMute(change.channel);
+        } else if (change) {
+          this.sound.setVolume(change.channel, this.sound.getVolume(change.channel) + change.delta);
+          this.playSound("shoot");
+        }
+        
+        SETTINGS_OPTIONS.forEach((option, i) => {
+          const direction = this.displaySettingRow(option, height * 0.2 + 130 + i * 40);
+          if (direction !== 0) {
+            this.changeSetting(option.key, direction);
+          }
+        });
         
+        if (this.displayButton("CONTROLS", width / 2 - 90, height * 0.9, 160, 40)) {
+          this.openControls();
+        } else if (this.displayButton("BACK", width / 2 + 90, height * 0.9, 160, 40)) {
+          this.closeSettings();
+        }
+        break;
+      }
+      
+      case this.GAME_CONTROLS: {
+        const slot = this.displayBindingRows();
+        if (slot) {
+          this.rebinding = slot;
+        } else if (this.displayButton("RESET", width / 2 - 90, height * 0.9, 160, 40)) {
+          this.keyBindings.reset();
+          this.controlsMessage = "Controls reset to defaults";
+        } else if (this.displayButton("BACK", width / 2 + 90, height * 0.9, 160, 40)) {
+          this.closeControls();
+        }
+        break;
+      }
+      
+      case this.GAME_ACHIEVEMENTS:
+        if (this.displayButton("BACK", width / 2, height * 0.9, 160, 40)) {
+          this.gameState = this.GAME_START;
+        }
+        break;
+      
       case this.GAME_HELP:
         if (this.displayButton("RESUME GAME", width / 2, height * 0.9, 200, 40)) {
           this.gameState = this.GAME_PLAYING;
         }
         break;
+      
+      case this.GAME_NAME_ENTRY:
+        // No physical keyboard on touch screens: ask for the name with a prompt
+        if (this.touch.enabled && mouseX > width / 2 - 150 && mouseX < width / 2 + 150 &&
+            mouseY > height * 0.5 && mouseY < height * 0.5 + 40) {
+          const name = window.prompt("Enter your name:", this.playerName);
+          if (name !== null) {
+            this.playerName = name.trim().slice(0, this.nameEntryMaxLength);
+          }
+        }
+        break;
+      
+      case this.GAME_REPLAY:
+        if (this.displayButton("PAUSE", width / 2 - 170, height - 40, 140, 36)) {
+          this.replayPlayPause();
+        } else if (this.displayButton("SPEED", width / 2, height - 40, 140, 36)) {
+          this.replayPlayer.cycleSpeed();
+        } else if (this.displayButton("EXIT", width / 2 + 170, height - 40, 140, 36)) {
+          this.exitReplay();
+        }
+        break;
     }
   }
   
-  keyPressed() {
+  // Physical key code for a keyboard event (falls back to p5's key)
+  getKeyCode(event) {
+    return event && event.code ? event.code : key;
+  }
+  
+  keyPressed(event) {
     // Start audio context on any user interaction
     this.startAudioContext();
     
+    const code = this.getKeyCode(event);
+    
     // Special handling for name entry
     if (this.gameState === this.GAME_NAME_ENTRY) {
       if (keyCode === BACKSPACE) {
@@ -859,41 +2662,124 @@ class Game {
       }
     }
     
-    // Pause game with Escape key
-    if (keyCode === ESCAPE && (this.gameState === this.GAME_PLAYING || this.gameState === this.GAME_PAUSED)) {
+    // Waiting for a new key on the controls screen
+    if (this.rebinding) {
+      this.captureBinding(code);
+      return false;
+    }
+    
+    // Debug overlay, on any screen, unless the key has been bound to something
+    // (returning false also stops F3 opening the browser's search)
+    if ((code === 'F3' || code === 'Backquote') && !this.keyBindings.getAction(code) && this.gameState !== this.GAME_NAME_ENTRY) {
+      this.debugOverlay.toggle();
+      return false;
+    }
+    
+    // Replay controls
+    if (this.gameState === this.GAME_REPLAY) {
+      if (key === ' ') {
+        this.replayPlayPause();
+      } else if (key === 'f' || key === 'F' || keyCode === RIGHT_ARROW) {
+        this.replayPlayer.cycleSpeed();
+      } else if (keyCode === ESCAPE) {
+        this.exitReplay();
+      }
+      return;
+    }
+    
+    // Mute or unmute the music (unless M has been bound to something)
+    if ((key === 'm' || key === 'M') && !this.keyBindings.getAction(code) && this.gameState !== this.GAME_NAME_ENTRY) {
+      this.sound.toggleMute('music');
+      return;
+    }
+    
+    // Leave the settings screens with Escape
+    if (keyCode === ESCAPE && this.gameState === this.GAME_CONTROLS) {
+      this.closeControls();
+      return;
+    }
+    if (keyCode === ESCAPE && this.gameState === this.GAME_SETTINGS) {
+      this.closeSettings();
+      return;
+    }
+    if (keyCode === ESCAPE && this.gameState === this.GAME_ACHIEVEMENTS) {
+      this.gameState = this.GAME_START;
+      return;
+    }
+    
+    // Menus: the arrow keys move between buttons like the d-pad, Enter presses
+    if (this.isMenuScreen()) {
+      const moves = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+      if (moves[code]) {
+        this.moveMenuFocus(...moves[code]);
+        return false;
+      }
+      if (code === 'Enter' || code === 'NumpadEnter') {
+        this.activateMenuFocus();
+        return false;
+      }
+    }
+    
+    const action = this.keyBindings.getAction(code);
+    
+    // Pause and help
+    if (action === 'pause' && (this.gameState === this.GAME_PLAYING || this.gameState === this.GAME_PAUSED)) {
       this.togglePause();
       return;
     }
+    if (action === 'help' && (this.gameState === this.GAME_PLAYING || this.gameState === this.GAME_HELP)) {
+      this.gameState = this.gameState === this.GAME_HELP ? this.GAME_PLAYING : this.GAME_HELP;
+      return;
+    }
     
-    // In-game controls
+    // In-game controls, for player 2 too in co-op
     if (this.gameState === this.GAME_PLAYING) {
-      // Movement controls
-      if (keyCode === LEFT_ARROW || key === 'a' || key === 'A') this.player.isMovingLeft = true;
-      if (keyCode === RIGHT_ARROW || key === 'd' || key === 'D') this.player.isMovingRight = true;
-      if (keyCode === UP_ARROW || key === 'w' || key === 'W') this.player.isMovingUp = true;
-      if (keyCode === DOWN_ARROW || key === 's' || key === 'S') this.player.isMovingDown = true;
+      const control = KeyBindings.splitAction(action);
+      if (control.player < this.players.length) {
+        switch (control.action) {
+          case 'left':
+          case 'right':
+          case 'up':
+          case 'down':
+            this.handleInput(this.playerInput(control.player, { action: control.action, pressed: true }));
+            break;
+          case 'shoot':
+            this.setFireHeld('keyboard', true, control.player);
+            break;
+          case 'special':
+            this.handleInput(this.playerInput(control.player, { action: 'special' }));
+            break;
+        }
+      }
       
-      // Shooting
-      if (key === ' ') {
-        this.player.shoot();
-        this.playSound("shoot");
+      // Keep bound keys (like space and the arrows) from scrolling the page
+      if (action) {
+        return false;
       }
     }
   }
   
-  keyReleased() {
-    if (this.gameState === this.GAME_PLAYING) {
+  keyReleased(event) {
+    const control = KeyBindings.splitAction(this.keyBindings.getAction(this.getKeyCode(event)));
+    const action = control.action;
+    
+    // Fire stops whenever the key comes up, even if it was released on a menu
+    if (action === 'shoot') {
+      this.setFireHeld('keyboard', false, control.player);
+    }
+    
+    if (this.gameState === this.GAME_PLAYING && control.player < this.players.length) {
       // Movement controls
-      if (keyCode === LEFT_ARROW || key === 'a' || key === 'A') this.player.isMovingLeft = false;
-      if (keyCode === RIGHT_ARROW || key === 'd' || key === 'D') this.player.isMovingRight = false;
-      if (keyCode === UP_ARROW || key === 'w' || key === 'W') this.player.isMovingUp = false;
-      if (keyCode === DOWN_ARROW || key === 's' || key === 'S') this.player.isMovingDown = false;
+      if (action === 'left' || action === 'right' || action === 'up' || action === 'down') {
+        this.handleInput(this.playerInput(control.player, { action: action, pressed: false }));
+      }
     }
   }
   
-  // Canvas boundary update for responsive design
-  updateBoundaries() {
-    this.player.updateBoundaries();
+  // Playfield resize for responsive design
+  resizePlayfield(newWidth, newHeight) {
+    // A resize changes the playfield mid-run, so replays need it too
+    this.handleInput({ action: 'resize', width: newWidth, height: newHeight });
   }
   
   // Handle audio context starting - must be called on user interaction
@@ -906,61 +2792,102 @@ class Game {
         getAudioContext().resume();
       }
       this.audioContextStarted = true;
-      console.log("Audio context started");
+      logger.info('audio', "Audio context started");
     } catch (e) {
-      console.warn("Could not start audio context:", e);
+      logger.warn('audio', "Could not start audio context:", e);
+    }
+  }
+  
+  // Refill a broadphase grid with entities at their current positions
+  fillGrid(grid, entities) {
+    grid.clear();
+    for (const entity of entities) {
+      grid.insert(entity, entity.pos.x, entity.pos.y, entity.hitboxSize / 2);
+    }
+  }
+  
+  // Candidates from the grids for an entity's hitbox, in list order. The
+  // margin covers checkCollision's extra buffer.
+  playersNear(entity) {
+    return this.playerGrid.query(entity.pos.x, entity.pos.y, entity.hitboxSize / 2 + this.COLLISION_MARGIN);
+  }
+  
+  projectilesNear(entity) {
+    return this.projectileGrid.query(entity.pos.x, entity.pos.y, entity.hitboxSize / 2 + this.COLLISION_MARGIN);
+  }
+  
+  // A projectile hit a target: a piercing one goes on to the next target,
+  // anything else is used up and removed once collisions are done. Accuracy
+  // counts each fry once, however many targets it goes through.
+  projectileLanded(projectile, target) {
+    if (projectile.hitTargets.length === 0) {
+      this.stats.recordHit();
     }
+    
+    if (projectile.pierce > 0) {
+      projectile.pierce--;
+      projectile.hitTargets.push(target);
+    } else {
+      projectile.spent = true;
+    }
+  }
+  
+  // A player projectile that's still live touching a target it hasn't hit yet
+  projectileHits(projectile, target) {
+    if (projectile.spent || projectile.hitTargets.includes(target)) return false;
+    
+    const separation = distance(projectile.pos.x, projectile.pos.y, target.pos.x, target.pos.y);
+    return separation < (projectile.hitboxSize / 2) + (target.hitboxSize / 2);
   }
   
   // Check for collision between two entities with hitboxes
   checkCollision(entity1, entity2) {
     // Check if either entity is missing a hitboxSize
     if (!entity1 || !entity2) {
-      console.warn("Collision check with null entity");
+      logger.warn('collision', "Collision check with null entity");
       return false;
     }
     
     if (!entity1.hitboxSize || !entity2.hitboxSize) {
-      console.warn(`Missing hitboxSize: entity1=${entity1.hitboxSize}, entity2=${entity2.hitboxSize}`);
+      logger.warn('collision', `Missing hitboxSize: entity1=${entity1.hitboxSize}, entity2=${entity2.hitboxSize}`);
       return false;
     }
     
     // Calculate distance between entities
-    const distance = dist(entity1.pos.x, entity1.pos.y, entity2.pos.x, entity2.pos.y);
+    const separation = distance(entity1.pos.x, entity1.pos.y, entity2.pos.x, entity2.pos.y);
     
     // Calculate combined radius with a slight increase for more reliable hits
     const combinedRadius = (entity1.hitboxSize / 2) + (entity2.hitboxSize / 2) + 5; // Added 5px buffer
     
-    // Log collision details if objects are close
-    if (distance < combinedRadius + 50) {
-      console.log(`Collision check: distance=${distance.toFixed(2)}, radius=${combinedRadius.toFixed(2)}, hit=${distance < combinedRadius}`);
-      console.log(`Entity1: x=${entity1.pos.x.toFixed(2)}, y=${entity1.pos.y.toFixed(2)}, hitbox=${entity1.hitboxSize}`);
-      console.log(`Entity2: x=${entity2.pos.x.toFixed(2)}, y=${entity2.pos.y.toFixed(2)}, hitbox=${entity2.hitboxSize}`);
-    }
-    
-    return distance < combinedRadius;
+    return separation < combinedRadius;
   }
   
   // High scores functionality
   loadHighScores() {
+    this.highScores = [];
+    if (!this.storage) return;
+    
     try {
-      const savedScores = localStorage.getItem('spacePotatoHighScores');
-      this.highScores = savedScores ? JSON.parse(savedScores) : [];
+      const savedScores = this.storage.getItem('spacePotatoHighScores');
+      if (!savedScores) return;
       
-      // If no scores yet, initialize with empty array
-      if (!Array.isArray(this.highScores)) {
-        this.highScores = [];
+      // Upgrade old saves and drop broken entries, keeping the rest
+      const data = JSON.parse(savedScores);
+      const { scores, dropped } = parseHighScores(data);
+      this.highScores = scores;
+      if (dropped > 0) {
+        logger.warn('storage', `Dropped ${dropped} invalid high score entries`);
+      }
+      if (dropped > 0 || Array.isArray(data) || data.version !== HIGH_SCORE_VERSION) {
+        this.storeHighScores();
       }
-      
-      // Sort scores from highest to lowest
-      this.highScores.sort((a, b) => b.score - a.score);
       
       // Set current high score from saved scores
       this.highScore = this.highScores.length > 0 ? this.highScores[0].score : 0;
       
-      console.log("Loaded high scores:", this.highScores);
+      logger.debug('storage', "Loaded high scores:", this.highScores);
     } catch (e) {
-      console.warn("Error loading high scores:", e);
+      logger.warn('storage', "Error loading high scores:", e);
       this.highScores = [];
     }
   }
@@ -978,26 +2905,146 @@ class Game {
         name: name,
         score: score,
         level: this.level,
-        date: new Date().toISOString().split('T')[0] // Just the date part YYYY-MM-DD
+        date: new Date().toISOString().split('T')[0], // Just the date part YYYY-MM-DD
+        playTime: this.stats.seconds,
+        kills: this.stats.totalKills,
+        accuracy: this.stats.accuracy !== null ? Math.round(this.stats.accuracy * 1000) / 1000 : null,
+        seed: this.seed
       };
       
-      this.highScores.push(newScore);
-      
       // Sort and keep top 10
-      this.highScores.sort((a, b) => b.score - a.score);
-      if (this.highScores.length > 10) {
-        this.highScores = this.highScores.slice(0, 10);
-      }
+      this.highScores.push(newScore);
+      this.highScores = sortHighScores(this.highScores);
       
       // Save to localStorage
-      localStorage.setItem('spacePotatoHighScores', JSON.stringify(this.highScores));
+      this.storeHighScores();
       
       // Update current high score
       this.highScore = this.highScores[0].score;
       
-      console.log("Saved high scores:", this.highScores);
+      logger.debug('storage', "Saved high scores:", this.highScores);
+      
+      this.submitOnlineScore(newScore);
+    } catch (e) {
+      logger.warn('storage', "Error saving high score:", e);
+    }
+  }
+  
+  storeHighScores() {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem('spacePotatoHighScores', JSON.stringify(serializeHighScores(this.highScores)));
+    } catch (e) {
+      logger.warn('storage', "Error saving high scores:", e);
+    }
+  }
+  
+  exportHighScores() {
+    saveJSON(serializeHighScores(this.highScores), 'spacepotato-highscores.json');
+  }
+  
+  // Merge an exported high score file into the table, skipping entries that
+  // are already in it
+  importHighScores(data) {
+    let imported;
+    try {
+      imported = parseHighScores(data);
     } catch (e) {
-      console.warn("Error saving high score:", e);
+      logger.warn('highscores', "Could not import high scores:", e);
+      this.highScoreMessage = `Import failed: ${e.message}`;
+      return;
+    }
+    
+    const key = entry => `${entry.name}|${entry.score}|${entry.date}|${entry.seed}`;
+    const existing = new Set(this.highScores.map(key));
+    const added = imported.scores.filter(entry => !existing.has(key(entry)));
+    
+    this.highScores = sortHighScores(this.highScores.concat(added));
+    this.highScore = this.highScores.length > 0 ? this.highScores[0].score : 0;
+    this.storeHighScores();
+    
+    this.highScoreMessage = `Imported ${added.length} score${added.length === 1 ? "" : "s"}`;
+    if (imported.dropped > 0) {
+      this.highScoreMessage += `, skipped ${imported.dropped} invalid`;
+    }
+  }
+  
+  // Send a finished run to the online leaderboard with its replay, which the
+  // server re-simulates to check the score
+  submitOnlineScore(entry) {
+    if (!this.leaderboard.enabled || !this.lastReplay || this.lastReplay.score !== entry.score) return;
+    
+    this.leaderboard.submit({
+      name: entry.name,
+      score: entry.score,
+      level: entry.level,
+      seed: this.lastReplay.seed,
+      replay: this.lastReplay
+    });
+  }
+  
+  // Switch the high scores screen between this browser's scores and the
+  // online leaderboard, fetching the online scores fresh each time
+  toggleHighScoreView() {
+    if (this.highScoreView === 'online') {
+      this.highScoreView = 'local';
+      return;
+    }
+    
+    this.highScoreView = 'online';
+    const request = { status: 'loading', top: [], around: null, error: null };
+    this.onlineScores = request;
+    
+    const name = this.leaderboard.playerName;
+    Promise.all([
+      this.leaderboard.getTop(10),
+      name ? this.leaderboard.getAround(name) : Promise.resolve(null)
+    ])
+      .then(([top, around]) => {
+        Object.assign(request, { status: 'ready', top: top, around: around });
+      })
+      .catch(e => {
+        Object.assign(request, { status: 'error', error: e.message });
+      });
+  }
+  
+  // BACK, IMPORT and EXPORT for the local table, plus LOCAL/ONLINE when
+  // there's a leaderboard. Returns the pressed button's label when called
+  // from mousePressed, or null.
+  displayHighScoreButtons() {
+    if (this.highScoreView === 'local') {
+      if (this.displayButton("IMPORT", width / 2 - 85, height * 0.85 - 50, 150, 40)) {
+        return "IMPORT";
+      }
+      if (this.displayButton("EXPORT", width / 2 + 85, height * 0.85 - 50, 150, 40)) {
+        return "EXPORT";
+      }
+    }
+    
+    const online = this.leaderboard.enabled;
+    if (this.displayButton("BACK", online ? width / 2 - 85 : width / 2, height * 0.85, 150, 40)) {
+      return "BACK";
+    }
+    const toggleLabel = this.highScoreView === 'online' ? "LOCAL" : "ONLINE";
+    if (online && this.displayButton(toggleLabel, width / 2 + 85, height * 0.85, 150, 40)) {
+      return toggleLabel;
+    }
+    return null;
+  }
+  
+  // Clicks on the high scores screen
+  highScoresPressed() {
+    const pressed = this.displayHighScoreButtons();
+    if (pressed === "BACK") {
+      this.showHighScores = false;
+      this.highScoreMessage = "";
+    } else if (pressed === "IMPORT") {
+      pickHighScoreFile(data => this.importHighScores(data));
+    } else if (pressed === "EXPORT") {
+      this.exportHighScores();
+    } else if (pressed) {
+      this.toggleHighScoreView();
     }
   }
   
@@ -1010,29 +3057,34 @@ class Game {
     textAlign(CENTER, TOP);
     textSize(36);
     fill(this.colors.text);
-    text("HIGH SCORES", width / 2, height * 0.1);
+    text(this.highScoreView === 'online' ? "ONLINE LEADERBOARD" : "HIGH SCORES", width / 2, height * 0.1);
     
-    // Show scores
+    // Show scores, leaving room for the buttons underneath
     const startY = height * 0.2;
-    const rowHeight = 40;
+    const rowHeight = Math.min(36, height * 0.045);
     
     textSize(18);
     textAlign(CENTER, TOP);
     
-    if (this.highScores.length === 0) {
+    if (this.highScoreView === 'online') {
+      this.displayOnlineScores(startY);
+    } else if (this.highScores.length === 0) {
       fill(this.colors.text);
       text("No high scores yet. Play and be the first!", width / 2, startY + rowHeight * 2);
     } else {
       // Header
       fill(this.colors.scoreText);
       textAlign(LEFT, TOP);
-      text("RANK", width * 0.2, startY);
-      text("NAME", width * 0.3, startY);
-      text("SCORE", width * 0.5, startY);
-      text("LEVEL", width * 0.65, startY);
+      text("RANK", width * 0.08, startY);
+      text("NAME", width * 0.15, startY);
+      text("SCORE", width * 0.34, startY);
+      text("LEVEL", width * 0.45, startY);
+      text("KILLS", width * 0.54, startY);
+      text("ACC.", width * 0.63, startY);
+      text("TIME", width * 0.71, startY);
       text("DATE", width * 0.8, startY);
       
-      line(width * 0.15, startY + rowHeight * 0.8, width * 0.85, startY + rowHeight * 0.8);
+      line(width * 0.06, startY + rowHeight * 0.8, width * 0.94, startY + rowHeight * 0.8);
       
       // Scores
       for (let i = 0; i < this.highScores.length; i++) {
@@ -1046,17 +3098,79 @@ class Game {
           fill(this.colors.text);
         }
         
+        // Scores saved before these stats were tracked show a dash
         textAlign(LEFT, TOP);
-        text(`${i + 1}.`, width * 0.2, y);
-        text(score.name, width * 0.3, y);
-        text(score.score, width * 0.5, y);
-        text(score.level, width * 0.65, y);
+        text(`${i + 1}.`, width * 0.08, y);
+        text(score.name, width * 0.15, y);
+        text(score.score, width * 0.34, y);
+        text(score.level, width * 0.45, y);
+        text(score.kills !== null ? score.kills : "-", width * 0.54, y);
+        text(score.accuracy !== null ? `${Math.round(score.accuracy * 100)}%` : "-", width * 0.63, y);
+        text(score.playTime !== null ? this.formatPlayTime(score.playTime) : "-", width * 0.71, y);
         text(score.date, width * 0.8, y);
       }
     }
     
-    // Back button
-    this.displayButton("BACK", width / 2, height * 0.85, 150, 40);
+    // Import result
+    if (this.highScoreView === 'local' && this.highScoreMessage) {
+      textAlign(CENTER, TOP);
+      fill(255, 200, 100);
+      text(this.highScoreMessage, width / 2, height * 0.85 - 95);
+    }
+    
+    this.displayHighScoreButtons();
+  }
+  
+  // Seconds as m:ss
+  formatPlayTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+  }
+  
+  // Online top 10 on the left and the scores around the player's best on the right
+  displayOnlineScores(startY) {
+    const scores = this.onlineScores;
+    const rowHeight = 32;
+    
+    if (scores.status !== 'ready') {
+      fill(this.colors.text);
+      text(scores.status === 'loading' ? "Loading..." : `Couldn't reach the leaderboard: ${scores.error}`,
+           width / 2, startY + rowHeight * 2);
+    } else {
+      this.displayScoreColumn("TOP 10", scores.top, width * 0.12, startY, rowHeight);
+      
+      if (scores.around && scores.around.rank) {
+        this.displayScoreColumn(`AROUND YOU (#${scores.around.rank})`, scores.around.scores, width * 0.55, startY, rowHeight);
+      } else {
+        textAlign(LEFT, TOP);
+        fill(this.colors.text);
+        text("Submit a score to see where you rank", width * 0.55, startY);
+      }
+    }
+    
+    // Scores still waiting to be sent
+    const waiting = this.leaderboard.queue.length;
+    if (waiting > 0) {
+      textAlign(CENTER, TOP);
+      fill(255, 200, 100);
+      text(`${waiting} score${waiting > 1 ? "s" : ""} waiting to upload`, width / 2, height * 0.78);
+    }
+  }
+  
+  displayScoreColumn(title, entries, x, startY, rowHeight) {
+    textAlign(LEFT, TOP);
+    fill(this.colors.scoreText);
+    text(title, x, startY);
+    
+    entries.forEach((entry, i) => {
+      const y = startY + (i + 1) * rowHeight;
+      
+      // Highlight the player's own entries
+      fill(entry.name === this.leaderboard.playerName ? color(255, 255, 100) : this.colors.text);
+      text(`${entry.rank}.`, x, y);
+      text(entry.name, x + width * 0.05, y);
+      text(entry.score, x + width * 0.22, y);
+    });
   }
   
   displayHelpScreen() {
@@ -1100,39 +3214,16 @@ class Game {
     const lineHeight = 24;
     let currentY = y + 40;
     
-    // Basic enemy
-    fill(200, 50, 50);
-    ellipse(x - w/4, currentY + 10, 20);
-    fill(this.colors.text);
-    text("Basic Enemy - 1 hit point", x - w/4 + 20, currentY);
-    text("Standard movement pattern", x - w/4 + 20, currentY + lineHeight);
-    
-    currentY += lineHeight * 3;
-    
-    // Shooter enemy
-    fill(50, 100, 200);
-    ellipse(x - w/4, currentY + 10, 20);
-    fill(this.colors.text);
-    text("Shooter Enemy - 2 hit points", x - w/4 + 20, currentY);
-    text("Shoots projectiles at player", x - w/4 + 20, currentY + lineHeight);
-    
-    currentY += lineHeight * 3;
-    
-    // Bomber enemy
-    fill(100, 50, 150);
-    ellipse(x - w/4, currentY + 10, 20);
-    fill(this.colors.text);
-    text("Bomber Enemy - 3 hit points", x - w/4 + 20, currentY);
-    text("Slow but tough, charges at player", x - w/4 + 20, currentY + lineHeight);
-    
-    currentY += lineHeight * 3;
-    
-    // Zigzag enemy
-    fill(50, 200, 100);
-    ellipse(x - w/4, currentY + 10, 20);
-    fill(this.colors.text);
-    text("Zigzag Enemy - 1 hit point", x - w/4 + 20, currentY);
-    text("Fast and erratic movement", x - w/4 + 20, currentY + lineHeight);
+    // One entry per registered enemy type
+    for (const type of Object.values(ENEMY_TYPES)) {
+      fill(this.getEnemyColor(type));
+      ellipse(x - w/4, currentY + 10, 20);
+      fill(this.colors.text);
+      text(`${type.label} - ${type.health} hit point${type.health === 1 ? "" : "s"}`, x - w/4 + 20, currentY);
+      text(type.description, x - w/4 + 20, currentY + lineHeight);
+      
+      currentY += lineHeight * 3;
+    }
   }
   
   displayPowerupGuide(x, y, w, h) {
@@ -1142,51 +3233,23 @@ class Game {
     text("POWERUPS", x, y);
     
     textAlign(LEFT, TOP);
-    textSize(16);
-    const lineHeight = 24;
+    const lineHeight = 22;
     let currentY = y + 40;
     
-    // Triple shot
-    fill(100, 200, 255);
-    ellipse(x - w/4, currentY + 10, 20);
-    fill(this.colors.text);
-    text("Triple Shot", x - w/4 + 20, currentY);
-    text("Fire 3 projectiles at once", x - w/4 + 20, currentY + lineHeight);
-    
-    currentY += lineHeight * 3;
-    
-    // Power shot
-    fill(255, 100, 100);
-    ellipse(x - w/4, currentY + 10, 20);
-    fill(this.colors.text);
-    text("Power Shot", x - w/4 + 20, currentY);
-    text("Increased damage", x - w/4 + 20, currentY + lineHeight);
-    
-    currentY += lineHeight * 3;
-    
-    // Shield
-    fill(100, 255, 100);
-    ellipse(x - w/4, currentY + 10, 20);
-    fill(this.colors.text);
-    text("Shield", x - w/4 + 20, currentY);
-    text("10 seconds of invulnerability", x - w/4 + 20, currentY + lineHeight);
-    text("Ram enemies to destroy them", x - w/4 + 20, currentY + lineHeight * 2);
-    
-    currentY += lineHeight * 4;
-    
-    // Speed boost
-    fill(255, 255, 100);
-    ellipse(x - w/4, currentY + 10, 20);
-    fill(this.colors.text);
-    text("Speed Boost", x - w/4 + 20, currentY);
-    text("50% faster movement", x - w/4 + 20, currentY + lineHeight);
-    
-    currentY += lineHeight * 3;
-    
-    // Extra info
-    fill(this.colors.scoreText);
-    text("Most powerups last until you take", x - w/4, currentY);
-    text("damage or collect a new one", x - w/4, currentY + lineHeight);
+    // One line per registered powerup type, with its duration
+    textSize(14);
+    for (const type of Object.values(POWERUP_TYPES)) {
+      push();
+      translate(x - w/4, currentY + 9);
+      drawPowerupIcon(type, 18, this.getPowerupColor(type));
+      pop();
+      
+      const duration = type.duration !== null ? ` (${type.duration / 60} s)` : "";
+      fill(this.colors.text);
+      noStroke();
+      text(`${type.label}: ${type.summary}${duration}`, x - w/4 + 20, currentY);
+      currentY += lineHeight;
+    }
   }
   
   displayControlsGuide(x, y, w, h) {
@@ -1201,9 +3264,13 @@ class Game {
     let currentY = y + 40;
     
     fill(this.colors.text);
-    text("Move: Arrow Keys or WASD", x, currentY);
-    text("Shoot: Left Mouse Button or Spacebar", x, currentY + lineHeight);
-    text("Pause: ESC key", x, currentY + lineHeight * 2);
+    const keys = this.keyBindings;
+    text(`Move: ${keys.describe('up')}, ${keys.describe('left')}, ${keys.describe('down')}, ${keys.describe('right')}`, x, currentY);
+    text(`Shoot: hold Left Mouse Button or ${keys.describe('shoot')}`, x, currentY + lineHeight);
+    text(`Grenade: ${keys.describe('special')} (player 2: ${keys.describe('p2Special')}), limited ammo - collect Spud Grenades for more`, x, currentY + lineHeight * 2);
+    text(`Pause: ${keys.describe('pause')}    Help: ${keys.describe('help')}`, x, currentY + lineHeight * 3);
+    text(`Co-op player 2: ${keys.describe('p2Up')}, ${keys.describe('p2Left')}, ${keys.describe('p2Down')}, ${keys.describe('p2Right')} to move, ${keys.describe('p2Shoot')} to shoot, or a gamepad`,
+         x, currentY + lineHeight * 4);
   }
   
   displayNameEntryScreen() {
@@ -1215,7 +3282,7 @@ class Game {
     textAlign(CENTER, TOP);
     textSize(36);
     fill(255, 255, 0);
-    text("NEW HIGH SCORE!", width / 2, height * 0.25);
+    text(this.isLocalHighScore ? "NEW HIGH SCORE!" : "SUBMIT YOUR SCORE", width / 2, height * 0.25);
     
     // Display score
     textSize(24);
@@ -1255,7 +3322,8 @@ class Game {
     // Instructions
     textSize(16);
     fill(200);
-    text("Type your name and press SUBMIT or ENTER", width / 2, height * 0.75);
+    text(this.touch.enabled ? "Tap the box to enter your name, then SUBMIT" :
+         "Type your name and press SUBMIT or ENTER", width / 2, height * 0.75);
   }
   
   // Handle key typing for name entry
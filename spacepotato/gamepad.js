@@ -0,0 +1,82 @@
+// Controller input through the browser Gamepad API.
+//
+// Polled once per frame. Button names follow the "standard" gamepad mapping
+// most controllers report (Xbox layout: A is the bottom face button).
+const GAMEPAD_BUTTONS = {
+  a: 0,
+  b: 1,
+  x: 2,
+  y: 3,
+  leftBumper: 4,
+  rightBumper: 5,
+  leftTrigger: 6,
+  rightTrigger: 7,
+  back: 8,
+  start: 9,
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15
+};
+
+class GamepadInput {
+  constructor(deadzone = 0.2) {
+    this.deadzone = deadzone;
+    this.connected = false;
+    
+    // Buttons held this frame and last frame, by name
+    this.buttons = {};
+    this.previousButtons = {};
+    
+    // Left stick after the deadzone, each axis -1 to 1
+    this.stick = new Vector2(0, 0);
+  }
+  
+  // Read the first connected controller. Returns false if there is none.
+  poll() {
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad = Array.from(pads).find(p => p && p.connected);
+    
+    this.previousButtons = this.buttons;
+    this.buttons = {};
+    this.connected = Boolean(pad);
+    
+    if (!pad) {
+      this.stick.set(0, 0);
+      return false;
+    }
+    
+    for (const name in GAMEPAD_BUTTONS) {
+      const button = pad.buttons[GAMEPAD_BUTTONS[name]];
+      // Analog triggers count as pressed past halfway
+      this.buttons[name] = Boolean(button && (button.pressed || button.value > 0.5));
+    }
+    
+    const stick = GamepadInput.applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0, this.deadzone);
+    this.stick.set(stick);
+    return true;
+  }
+  
+  isDown(name) {
+    return this.buttons[name] === true;
+  }
+  
+  // True only on the frame the button went down
+  justPressed(name) {
+    return this.buttons[name] === true && this.previousButtons[name] !== true;
+  }
+  
+  // Radial deadzone: ignore small stick movements, then rescale so output
+  // still ramps smoothly from 0 at the deadzone edge to 1 at full tilt
+  static applyDeadzone(x, y, deadzone) {
+    const stick = new Vector2(x, y);
+    const magnitude = stick.mag();
+    
+    if (magnitude < deadzone) {
+      return new Vector2(0, 0);
+    }
+    
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    return stick.normalize().mult(scaled);
+  }
+}
@@ -0,0 +1,76 @@
+// Mashed potato grenades, the secondary weapon. Thrown upward, they slow
+// down and burst when the fuse runs out or they touch an enemy or the boss,
+// hurting everything within the blast radius.
+const GRENADE_SPEED = 9;
+const GRENADE_DRAG = 0.96;
+const GRENADE_FUSE = 45; // Ticks before it bursts on its own
+const GRENADE_RADIUS = 110; // Blast radius
+const GRENADE_DAMAGE = 4;
+const GRENADE_COOLDOWN = 30; // Ticks between throws
+
+// Ammo: what each player starts a run with, the most they can carry and how
+// many a pickup gives
+const GRENADE_START_AMMO = 3;
+const GRENADE_MAX_AMMO = 5;
+const GRENADE_PICKUP_AMMO = 2;
+
+class Grenade {
+  constructor(game, x, y) {
+    this.game = game;
+    this.pos = new Vector2(x, y);
+    this.vel = new Vector2(0, -GRENADE_SPEED);
+    this.size = 18;
+    this.hitboxSize = this.size;
+    this.fuse = GRENADE_FUSE;
+    
+    // Visual properties
+    this.rotation = 0;
+    this.rotationSpeed = game.fxRng.random(-0.2, 0.2);
+  }
+  
+  update() {
+    this.pos.add(this.vel);
+    this.vel.mult(GRENADE_DRAG);
+    this.rotation += this.rotationSpeed;
+    this.fuse--;
+  }
+  
+  // Burst on a timer, or earlier on contact
+  shouldExplode() {
+    if (this.fuse <= 0 || this.pos.y < 0) return true;
+    
+    const game = this.game;
+    if (game.boss && this.collidesWith(game.boss)) return true;
+    return game.enemies.some(enemy => this.collidesWith(enemy));
+  }
+  
+  collidesWith(entity) {
+    const separation = distance(this.pos.x, this.pos.y, entity.pos.x, entity.pos.y);
+    return separation < this.hitboxSize / 2 + entity.hitboxSize / 2;
+  }
+  
+  // Whether an entity is caught in the blast
+  inBlast(entity) {
+    return distance(this.pos.x, this.pos.y, entity.pos.x, entity.pos.y) < GRENADE_RADIUS + entity.hitboxSize / 2;
+  }
+  
+  display() {
+    push();
+    translate(this.pos.x, this.pos.y);
+    rotate(this.rotation);
+    
+    // A lumpy scoop of mash
+    noStroke();
+    fill(240, 225, 180);
+    ellipse(0, 0, this.size, this.size * 0.9);
+    ellipse(-this.size * 0.25, -this.size * 0.2, this.size * 0.55);
+    ellipse(this.size * 0.2, -this.size * 0.25, this.size * 0.5);
+    
+    // Butter pat, flashing red as the fuse runs down
+    const blinking = this.fuse < 20 && this.fuse % 6 < 3;
+    fill(blinking ? color(255, 80, 60) : color(255, 220, 80));
+    rect(-this.size * 0.15, -this.size * 0.15, this.size * 0.3, this.size * 0.25, 2);
+    
+    pop();
+  }
+}
@@ -0,0 +1,176 @@
+// Headless simulation harness for Node.
+//
+// Loads the game's simulation scripts into a sandbox (the same way index.html
+// loads them into the page, minus p5 and sketch.js) so gameplay can be stepped
+// tick by tick with no canvas and no browser:
+//
+//   const { createGame, runTicks, getState } = require('./headless');
+//   const game = createGame({ seed: 42 });
+//   runTicks(game, 600, [{ tick: 0, action: 'left', pressed: true }]);
+//   getState(game); // -> { tick, score, lives, level, enemies, ... }
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Simulation scripts in load order (rendering-only sketch.js is left out)
+const SIMULATION_SCRIPTS = [
+  'logger.js',
+  'rng.js',
+  'vector.js',
+  'events.js',
+  'collision.js',
+  'pool.js',
+  'settings.js',
+  'audio.js',
+  'music.js',
+  'gamepad.js',
+  'touch.js',
+  'keybindings.js',
+  'player.js',
+  'projectile.js',
+  'grenade.js',
+  'enemytypes.js',
+  'enemy.js',
+  'particle.js',
+  'poweruptypes.js',
+  'powerup.js',
+  'boss.js',
+  'waves.js',
+  'replay.js',
+  'highscores.js',
+  'leaderboard.js',
+  'stats.js',
+  'achievements.js',
+  'debugoverlay.js',
+  'game.js'
+];
+
+// Names exported from the sandbox
+const EXPORTS = [
+  'Game', 'Replay', 'SeededRandom', 'Vector2', 'ENEMY_TYPES', 'registerEnemyType',
+  'WaveDirector', 'ENTRY_PATHS', 'Enemy', 'Projectile', 'SpatialGrid', 'BruteForceBroadphase'
+];
+
+// Load the simulation into a fresh sandbox and return its classes.
+// Pass { log: 'debug' } (or any spec logger.js accepts, such as
+// 'warn,enemy:debug') to see more than warnings and errors.
+function loadSimulation(options = {}) {
+  const context = vm.createContext({ console: console });
+  
+  for (const file of SIMULATION_SCRIPTS) {
+    const filename = path.join(__dirname, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  }
+  
+  if (options.log) {
+    vm.runInContext('logger', context).configure(options.log);
+  }
+  
+  // Top-level classes are lexical bindings, so read them back from inside
+  return vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+}
+
+let defaultSimulation = null;
+let defaultWaves;
+
+// The game's own waves.json, parsed once
+function loadDefaultWaves() {
+  if (defaultWaves === undefined) {
+    defaultWaves = JSON.parse(fs.readFileSync(path.join(__dirname, 'waves.json'), 'utf8'));
+  }
+  return defaultWaves;
+}
+
+function getSimulation() {
+  if (!defaultSimulation) {
+    defaultSimulation = loadSimulation();
+  }
+  return defaultSimulation;
+}
+
+// Create a game with no audio or storage and start a run.
+// Options: seed, width, height, storage, simulation (from loadSimulation),
+// waves (wave file data; defaults to waves.json, null for random spawning only),
+// difficulty (preset name, default 'normal'), players (1, or 2 for co-op)
+function createGame(options = {}) {
+  const { Game } = options.simulation || getSimulation();
+  const game = new Game({
+    width: options.width || 1200,
+    height: options.height || 800,
+    audio: false,
+    storage: options.storage || null,
+    waves: options.waves !== undefined ? options.waves : loadDefaultWaves()
+  });
+  if (options.difficulty) {
+    game.settings.set('difficulty', options.difficulty);
+  }
+  game.coop = options.players === 2;
+  game.startGame(options.seed !== undefined ? options.seed : 1);
+  return game;
+}
+
+// Step the game for up to `ticks` simulation ticks, feeding scripted inputs.
+// Inputs use the replay event format: { tick, action, pressed }, where tick
+// is the number of ticks already simulated when the input is applied.
+// Stops early if the run ends. Returns the game for chaining.
+function runTicks(game, ticks, inputs = []) {
+  const pending = inputs.slice().sort((a, b) => a.tick - b.tick);
+  const endTick = game.tick + ticks;
+  let cursor = 0;
+  
+  while (game.tick < endTick && game.gameState === game.GAME_PLAYING) {
+    while (cursor < pending.length && pending[cursor].tick <= game.tick) {
+      const { tick, ...input } = pending[cursor++];
+      game.handleInput(input);
+    }
+    game.step();
+  }
+  
+  return game;
+}
+
+// Re-simulate a replay (a Replay or its parsed JSON) from start to finish
+function runReplay(replayData, options = {}) {
+  const game = createGame(Object.assign({}, options, {
+    seed: replayData.seed,
+    width: replayData.width,
+    height: replayData.height,
+    waves: replayData.waves || null,
+    difficulty: replayData.difficulty || 'normal',
+    players: replayData.players || 1
+  }));
+  const limit = replayData.ticks > 0 ? replayData.ticks : Infinity;
+  runTicks(game, limit, replayData.events);
+  return game;
+}
+
+// Plain summary of the parts of the game state tests usually check
+function getState(game) {
+  return {
+    tick: game.tick,
+    state: game.gameState,
+    score: game.score,
+    level: game.level,
+    lives: game.player.lives,
+    health: game.player.health,
+    players: game.players.map(p => ({ lives: p.lives, health: p.health })),
+    enemies: game.enemies.length,
+    projectiles: game.projectiles.length,
+    enemyProjectiles: game.enemyProjectiles.length,
+    powerups: game.powerups.length,
+    particles: game.particles.length,
+    bossHealth: game.boss ? game.boss.health : null,
+    bossesDefeated: game.bossesDefeated,
+    wave: game.waveDirector ? game.waveDirector.getLabel() : null
+  };
+}
+
+module.exports = {
+  SIMULATION_SCRIPTS,
+  loadSimulation,
+  createGame,
+  runTicks,
+  runReplay,
+  getState
+};
@@ -0,0 +1,108 @@
+// Saved high score table: schema versions, migrations and validation.
+//
+// The table is stored as { version, scores }. Saves from older versions are
+// upgraded one version at a time, and entries that fail validation are
+// dropped on their own instead of throwing away the whole table.
+const HIGH_SCORE_VERSION = 2;
+const HIGH_SCORE_LIMIT = 10;
+
+// Each migration takes data saved by version N and returns version N + 1
+const HIGH_SCORE_MIGRATIONS = {
+  // Version 1 was a bare array of { name, score, level, date }
+  1: scores => ({
+    version: 2,
+    scores: scores.map(entry => Object.assign({ playTime: null, kills: null, accuracy: null, seed: null }, entry))
+  })
+};
+
+// Bring saved data up to the current version. Throws if it's from a newer
+// version of the game or isn't a high score table at all.
+function migrateHighScores(data) {
+  // Version 1 had no wrapper object
+  if (Array.isArray(data)) {
+    data = { version: 1, scores: data };
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.scores)) {
+    throw new Error("Not a high score table");
+  }
+  if (!Number.isInteger(data.version) || data.version > HIGH_SCORE_VERSION) {
+    throw new Error(`Unsupported high score version: ${data.version}`);
+  }
+  
+  while (data.version < HIGH_SCORE_VERSION) {
+    const migrate = HIGH_SCORE_MIGRATIONS[data.version];
+    if (!migrate) {
+      throw new Error(`No migration from high score version ${data.version}`);
+    }
+    data = migrate(data.scores);
+  }
+  return data;
+}
+
+// A clean copy of an entry, or null if it's unusable. Missing extra stats
+// are fine (null); a bad name, score, level or date is not.
+function validateHighScore(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  
+  const name = typeof entry.name === 'string' ? entry.name.trim().slice(0, 15) : "";
+  if (!name) return null;
+  if (!Number.isInteger(entry.score) || entry.score < 0) return null;
+  if (!Number.isInteger(entry.level) || entry.level < 1) return null;
+  if (typeof entry.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) return null;
+  
+  const optional = (value, isValid) => (value !== null && value !== undefined && isValid(value) ? value : null);
+  
+  return {
+    name: name,
+    score: entry.score,
+    level: entry.level,
+    date: entry.date,
+    playTime: optional(entry.playTime, v => Number.isFinite(v) && v >= 0), // Seconds
+    kills: optional(entry.kills, v => Number.isInteger(v) && v >= 0),
+    accuracy: optional(entry.accuracy, v => Number.isFinite(v) && v >= 0 && v <= 1), // Fraction of shots that hit
+    seed: optional(entry.seed, v => Number.isInteger(v) && v >= 0)
+  };
+}
+
+// Migrate and validate saved or imported data into a sorted top 10.
+// Returns { scores, dropped } where dropped counts the rejected entries.
+function parseHighScores(data) {
+  const migrated = migrateHighScores(data);
+  const scores = migrated.scores.map(validateHighScore).filter(entry => entry !== null);
+  
+  return {
+    scores: sortHighScores(scores),
+    dropped: migrated.scores.length - scores.length
+  };
+}
+
+// Best first, cut to the table size
+function sortHighScores(scores) {
+  return scores.slice().sort((a, b) => b.score - a.score).slice(0, HIGH_SCORE_LIMIT);
+}
+
+// The table in its saved form
+function serializeHighScores(scores) {
+  return { version: HIGH_SCORE_VERSION, scores: scores };
+}
+
+// Ask the user for a high score file and pass its parsed JSON to the callback
+function pickHighScoreFile(callback) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', () => {
+    if (input.files.length === 0) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        callback(JSON.parse(reader.result));
+      } catch (e) {
+        logger.warn('highscores', "Could not read high score file:", e);
+      }
+    };
+    reader.readAsText(input.files[0]);
+  });
+  input.click();
+}
@@ -0,0 +1,177 @@
+// Remappable keyboard controls.
+//
+// Bindings map physical keys (KeyboardEvent.code, e.g. "KeyW", "ArrowLeft",
+// "Space") to actions, so the defaults sit in the same place on any keyboard
+// layout. Each action has up to two keys.
+
+// Actions that can be bound, in the order shown on the controls screen
+const BINDABLE_ACTIONS = [
+  { action: 'left', label: "MOVE LEFT" },
+  { action: 'right', label: "MOVE RIGHT" },
+  { action: 'up', label: "MOVE UP" },
+  { action: 'down', label: "MOVE DOWN" },
+  { action: 'shoot', label: "SHOOT" },
+  { action: 'pause', label: "PAUSE" },
+  { action: 'help', label: "HELP" },
+  { action: 'special', label: "GRENADE" },
+  
+  // Second player in co-op
+  { action: 'p2Left', label: "P2 LEFT" },
+  { action: 'p2Right', label: "P2 RIGHT" },
+  { action: 'p2Up', label: "P2 UP" },
+  { action: 'p2Down', label: "P2 DOWN" },
+  { action: 'p2Shoot', label: "P2 SHOOT" },
+  { action: 'p2Special', label: "P2 GRENADE" }
+];
+
+const DEFAULT_KEY_BINDINGS = {
+  left: ['ArrowLeft', 'KeyA'],
+  right: ['ArrowRight', 'KeyD'],
+  up: ['ArrowUp', 'KeyW'],
+  down: ['ArrowDown', 'KeyS'],
+  shoot: ['Space', null],
+  pause: ['Escape', 'KeyP'],
+  help: ['KeyH', null],
+  special: ['KeyE', null],
+  p2Left: ['KeyJ', 'Numpad4'],
+  p2Right: ['KeyL', 'Numpad6'],
+  p2Up: ['KeyI', 'Numpad8'],
+  p2Down: ['KeyK', 'Numpad5'],
+  p2Shoot: ['KeyO', 'Numpad0'],
+  p2Special: ['KeyU', 'NumpadDecimal']
+};
+
+// Readable names for keys whose code isn't self-explanatory
+const KEY_LABELS = {
+  Space: "SPACE",
+  Escape: "ESC",
+  ArrowLeft: "LEFT",
+  ArrowRight: "RIGHT",
+  ArrowUp: "UP",
+  ArrowDown: "DOWN",
+  ShiftLeft: "L SHIFT",
+  ShiftRight: "R SHIFT",
+  ControlLeft: "L CTRL",
+  ControlRight: "R CTRL",
+  AltLeft: "L ALT",
+  AltRight: "R ALT",
+  Enter: "ENTER",
+  Backspace: "BACKSPACE",
+  Tab: "TAB"
+};
+
+class KeyBindings {
+  constructor(storage) {
+    this.storage = storage;
+    this.bindings = KeyBindings.copyDefaults();
+    this.load();
+  }
+  
+  // Action bound to a key code, or null
+  getAction(code) {
+    for (const action in this.bindings) {
+      if (this.bindings[action].includes(code)) {
+        return action;
+      }
+    }
+    return null;
+  }
+  
+  getKeys(action) {
+    return this.bindings[action];
+  }
+  
+  // Which action other than this slot already uses the key, or null
+  findConflict(action, slot, code) {
+    for (const other in this.bindings) {
+      const index = this.bindings[other].indexOf(code);
+      if (index !== -1 && !(other === action && index === slot)) {
+        return { action: other, slot: index };
+      }
+    }
+    return null;
+  }
+  
+  // Put a key in an action's slot. A key already used elsewhere is swapped:
+  // the other binding gets this slot's old key.
+  bind(action, slot, code) {
+    const conflict = this.findConflict(action, slot, code);
+    if (conflict) {
+      this.bindings[conflict.action][conflict.slot] = this.bindings[action][slot];
+    }
+    
+    this.bindings[action][slot] = code;
+    this.save();
+  }
+  
+  clear(action, slot) {
+    this.bindings[action][slot] = null;
+    this.save();
+  }
+  
+  reset() {
+    this.bindings = KeyBindings.copyDefaults();
+    this.save();
+  }
+  
+  // Short description of an action's keys for help text, e.g. "UP / W"
+  describe(action) {
+    return this.bindings[action].filter(code => code).map(KeyBindings.keyLabel).join(" / ") || "UNBOUND";
+  }
+  
+  load() {
+    if (!this.storage) return;
+    
+    try {
+      const saved = JSON.parse(this.storage.getItem('spacePotatoKeyBindings'));
+      if (!saved) return;
+      
+      // Keep only known actions with a pair of key slots
+      for (const action in this.bindings) {
+        const keys = saved[action];
+        if (Array.isArray(keys) && keys.length === 2 && keys.every(k => k === null || typeof k === 'string')) {
+          this.bindings[action] = keys.slice();
+        }
+      }
+    } catch (e) {
+      logger.warn('storage', "Error loading key bindings:", e);
+    }
+  }
+  
+  save() {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem('spacePotatoKeyBindings', JSON.stringify(this.bindings));
+    } catch (e) {
+      logger.warn('storage', "Error saving key bindings:", e);
+    }
+  }
+  
+  static copyDefaults() {
+    const bindings = {};
+    for (const action in DEFAULT_KEY_BINDINGS) {
+      bindings[action] = DEFAULT_KEY_BINDINGS[action].slice();
+    }
+    return bindings;
+  }
+  
+  // Which player a bound action controls and what it does in game, e.g.
+  // 'p2Left' -> { player: 1, action: 'left' }
+  static splitAction(action) {
+    if (action && action.startsWith('p2')) {
+      return { player: 1, action: action.charAt(2).toLowerCase() + action.slice(3) };
+    }
+    return { player: 0, action: action };
+  }
+  
+  // Label shown for a key code: "KeyA" -> "A", "Digit1" -> "1"
+  static keyLabel(code) {
+    if (!code) return "-";
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return "NUM " + code.slice(6).toUpperCase();
+    return code.toUpperCase();
+  }
+}
@@ -0,0 +1,334 @@
+// Reference leaderboard server for Node, with no dependencies.
+//
+// Keeps scores in a JSON file and only accepts a score that comes with the
+// replay of the run: the replay is re-simulated headlessly from its seed and
+// the score must match what the simulation produces. Replays are checked on
+// a worker thread so a long one doesn't hold up other requests.
+//
+//   node leaderboard-server.js [--port 8787] [--file leaderboard.json]
+//
+// Then open the game with ?leaderboard=http://localhost:8787
+//
+// Routes:
+//   POST /scores                   { name, score, level, seed, replay } -> { id, rank }
+//   GET  /scores?limit=10          -> { scores: [{ rank, name, score, level, date }] }
+//   GET  /scores/around?name=X&range=4 -> { rank, scores }
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { loadSimulation, runReplay } = require('./headless');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_REPLAY_TICKS = 60 * 60 * 60; // An hour of play
+const MAX_NAME_LENGTH = 15;
+const MAX_LIMIT = 100;
+
+// Check a submission by re-simulating its replay. Returns the entry to store,
+// or throws an Error saying why the score was rejected.
+function validateSubmission(body, simulation) {
+  if (!body || typeof body !== 'object') {
+    throw new Error("Submission is not an object");
+  }
+  
+  const name = typeof body.name === 'string' ? body.name.trim().slice(0, MAX_NAME_LENGTH) : "";
+  if (!name) {
+    throw new Error("Missing name");
+  }
+  if (!Number.isInteger(body.score) || body.score <= 0) {
+    throw new Error("Score must be a positive whole number");
+  }
+  
+  let replay;
+  try {
+    replay = simulation.Replay.fromJSON(body.replay);
+  } catch (e) {
+    throw new Error(`Invalid replay: ${e.message}`);
+  }
+  if (replay.seed !== body.seed >>> 0) {
+    throw new Error("Seed doesn't match the replay");
+  }
+  if (!(replay.ticks > 0 && replay.ticks <= MAX_REPLAY_TICKS)) {
+    throw new Error("Replay length is out of range");
+  }
+  
+  // Play the run back and compare
+  const game = runReplay(replay, { simulation: simulation });
+  if (game.gameState === game.GAME_PLAYING || game.tick !== replay.ticks) {
+    throw new Error("Replay doesn't end where it says it does");
+  }
+  if (game.score !== body.score) {
+    throw new Error(`Score doesn't match the replay (replay scores ${game.score})`);
+  }
+  
+  return {
+    name: name,
+    score: game.score,
+    level: game.level,
+    seed: replay.seed,
+    ticks: replay.ticks,
+    date: new Date().toISOString().split('T')[0]
+  };
+}
+
+// Scores in a JSON file, best first
+class ScoreStore {
+  constructor(file) {
+    this.file = file;
+    this.scores = [];
+    this.nextId = 1;
+    
+    if (fs.existsSync(file)) {
+      this.load();
+    }
+  }
+  
+  // A file that can't be read is moved aside, so the next save doesn't
+  // overwrite the scores it may still hold, and the board starts empty
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.scores = Array.isArray(data.scores) ? data.scores : [];
+      this.nextId = this.scores.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+    } catch (e) {
+      const aside = `${this.file}.corrupt-${Date.now()}`;
+      console.error(`Could not read ${this.file} (${e.message}), moved it to ${aside} and starting empty`);
+      fs.renameSync(this.file, aside);
+    }
+  }
+  
+  // Store an entry and return { id, rank }
+  add(entry) {
+    const stored = Object.assign({ id: this.nextId++ }, entry);
+    this.scores.push(stored);
+    this.scores.sort((a, b) => b.score - a.score || a.id - b.id);
+    this.save();
+    return { id: stored.id, rank: this.scores.indexOf(stored) + 1 };
+  }
+  
+  top(limit) {
+    return this.scores.slice(0, limit).map((s, i) => ScoreStore.publicEntry(s, i));
+  }
+  
+  // range entries either side of the name's best score
+  around(name, range) {
+    const index = this.scores.findIndex(s => s.name.toLowerCase() === name.toLowerCase());
+    if (index === -1) {
+      return { rank: null, scores: [] };
+    }
+    
+    const start = Math.max(0, index - range);
+    return {
+      rank: index + 1,
+      scores: this.scores.slice(start, index + range + 1).map((s, i) => ScoreStore.publicEntry(s, start + i))
+    };
+  }
+  
+  // Write to a temporary file first so a crash can't leave half a file
+  save() {
+    const temp = this.file + '.tmp';
+    fs.writeFileSync(temp, JSON.stringify({ scores: this.scores }, null, 2));
+    fs.renameSync(temp, this.file);
+  }
+  
+  static publicEntry(score, index) {
+    return { rank: index + 1, name: score.name, score: score.score, level: score.level, date: score.date };
+  }
+}
+
+// An error with the HTTP status to answer with
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Runs validateSubmission() on a worker thread, one submission at a time.
+// Callbacks get a 422 error for a rejected score, or a 503 error if the
+// worker died before it could answer, which the client retries later.
+class ReplayValidator {
+  constructor() {
+    this.pending = new Map(); // Submission id -> callback(err, entry)
+    this.nextId = 1;
+    this.worker = null; // Started on the first submission, and again after a crash
+  }
+  
+  start() {
+    const worker = new Worker(__filename);
+    worker.on('message', ({ id, entry, error }) => {
+      const callback = this.pending.get(id);
+      this.pending.delete(id);
+      callback(error ? httpError(422, error) : null, entry);
+    });
+    worker.on('error', err => console.error("Replay validator crashed:", err));
+    
+    // However it stopped, fail what it was working on; the next submission
+    // starts a new worker
+    worker.on('exit', code => {
+      if (this.worker !== worker) return;
+      this.worker = null;
+      
+      const unchecked = Array.from(this.pending.values());
+      this.pending.clear();
+      if (unchecked.length > 0) {
+        console.error(`Replay validator exited (code ${code}) with ${unchecked.length} submissions unchecked`);
+      }
+      for (const callback of unchecked) {
+        callback(httpError(503, "Could not check the replay, try again later"));
+      }
+    });
+    this.worker = worker;
+  }
+  
+  validate(body, callback) {
+    if (!this.worker) {
+      this.start();
+    }
+    
+    const id = this.nextId++;
+    this.pending.set(id, callback);
+    this.worker.postMessage({ id, body });
+  }
+  
+  close() {
+    const worker = this.worker;
+    this.worker = null;
+    if (worker) {
+      worker.terminate();
+    }
+  }
+}
+
+// Worker side: keep one simulation loaded and check submissions as they come
+function runValidatorWorker() {
+  const simulation = loadSimulation();
+  parentPort.on('message', ({ id, body }) => {
+    try {
+      parentPort.postMessage({ id, entry: validateSubmission(body, simulation) });
+    } catch (e) {
+      parentPort.postMessage({ id, error: e.message });
+    }
+  });
+}
+
+// A whole-number query parameter, kept within 1 to MAX_LIMIT
+function countParam(url, name, fallback) {
+  const value = parseInt(url.searchParams.get(name), 10) || fallback;
+  return Math.max(1, Math.min(MAX_LIMIT, value));
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req, callback) {
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+  
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES && !tooLarge) {
+      tooLarge = true;
+      callback(new Error("Submission is too large"));
+    }
+    if (!tooLarge) {
+      chunks.push(chunk);
+    }
+  });
+  req.on('end', () => {
+    if (tooLarge) return;
+    try {
+      callback(null, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (e) {
+      callback(new Error("Body is not valid JSON"));
+    }
+  });
+}
+
+// Create (but don't start) the server. Options: file (where scores are kept)
+function createLeaderboardServer(options = {}) {
+  const store = new ScoreStore(options.file || path.join(__dirname, 'leaderboard.json'));
+  const validator = new ReplayValidator();
+  
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    
+    if (req.method === 'OPTIONS') {
+      sendJSON(res, 204, {});
+      return;
+    }
+    
+    if (req.method === 'POST' && url.pathname === '/scores') {
+      readBody(req, (err, body) => {
+        if (err) {
+          sendJSON(res, 400, { error: err.message });
+          return;
+        }
+        
+        validator.validate(body, (err, entry) => {
+          if (err) {
+            sendJSON(res, err.status || 500, { error: err.message });
+            return;
+          }
+          sendJSON(res, 201, store.add(entry));
+        });
+      });
+      return;
+    }
+    
+    if (req.method === 'GET' && url.pathname === '/scores') {
+      const limit = countParam(url, 'limit', 10);
+      sendJSON(res, 200, { scores: store.top(limit) });
+      return;
+    }
+    
+    if (req.method === 'GET' && url.pathname === '/scores/around') {
+      const name = url.searchParams.get('name');
+      if (!name) {
+        sendJSON(res, 400, { error: "Missing name" });
+        return;
+      }
+      const range = countParam(url, 'range', 4);
+      sendJSON(res, 200, store.around(name, range));
+      return;
+    }
+    
+    sendJSON(res, 404, { error: "Not found" });
+  });
+  
+  server.on('close', () => validator.close());
+  return server;
+}
+
+// The worker thread loads this file too
+if (!isMainThread) {
+  runValidatorWorker();
+} else if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (flag, fallback) => {
+    const index = args.indexOf(flag);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+  
+  const port = parseInt(option('--port', '8787'), 10);
+  const file = path.resolve(option('--file', path.join(__dirname, 'leaderboard.json')));
+  
+  createLeaderboardServer({ file }).listen(port, () => {
+    console.log(`Leaderboard server on http://localhost:${port}, scores in ${file}`);
+  });
+}
+
+module.exports = {
+  createLeaderboardServer,
+  validateSubmission,
+  ReplayValidator,
+  ScoreStore
+};
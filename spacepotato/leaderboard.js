@@ -0,0 +1,149 @@
+// Online leaderboard client.
+//
+// Talks to a leaderboard server over HTTP (leaderboard-server.js is the
+// reference one). Scores that can't be sent right away (offline, server down)
+// wait in a queue saved to storage and are retried with a growing delay.
+
+// Milliseconds to wait before each retry; the last delay repeats
+const LEADERBOARD_RETRY_DELAYS = [5000, 15000, 60000, 300000];
+const LEADERBOARD_TIMEOUT = 10000;
+
+class LeaderboardClient {
+  // url is the server's base address, e.g. "http://localhost:8787". Without
+  // one the leaderboard is off and nothing is queued.
+  constructor(url, storage) {
+    this.url = url ? url.replace(/\/+$/, '') : null;
+    this.storage = storage;
+    
+    this.queue = []; // Submissions waiting to be sent, oldest first
+    this.sending = false;
+    this.retryCount = 0;
+    this.nextRetry = 0; // Date.now() time of the next retry
+    this.lastError = null;
+    this.playerName = ""; // Name of the last submission, for around-me queries
+    
+    this.load();
+  }
+  
+  get enabled() {
+    return this.url !== null;
+  }
+  
+  // Queue a finished run and try to send it. entry: { name, score, level,
+  // seed, replay } where replay is the run's Replay (or its JSON).
+  submit(entry) {
+    if (!this.enabled) return;
+    
+    this.queue.push(entry);
+    this.playerName = entry.name;
+    this.save();
+    this.flush();
+  }
+  
+  // Send queued submissions in order. A network failure stops the queue until
+  // the next retry; a score the server rejects is dropped, since sending it
+  // again won't change the answer.
+  flush() {
+    if (this.sending || this.queue.length === 0) return Promise.resolve();
+    this.sending = true;
+    
+    return this.request('/scores', { method: 'POST', body: this.queue[0] })
+      .then(result => {
+        this.queue.shift();
+        this.save();
+        this.retryCount = 0;
+        this.lastError = null;
+        this.sending = false;
+        return this.flush().then(() => result);
+      })
+      .catch(e => {
+        this.sending = false;
+        this.lastError = e.message;
+        
+        if (e.rejected) {
+          logger.warn('leaderboard', "Leaderboard rejected score:", e.message);
+          this.queue.shift();
+          this.save();
+          return this.flush();
+        }
+        
+        // Try again later
+        const delay = LEADERBOARD_RETRY_DELAYS[Math.min(this.retryCount, LEADERBOARD_RETRY_DELAYS.length - 1)];
+        this.retryCount++;
+        this.nextRetry = Date.now() + delay;
+      });
+  }
+  
+  // Called every frame; retries the queue when its delay is up
+  update() {
+    if (this.enabled && !this.sending && this.queue.length > 0 && Date.now() >= this.nextRetry) {
+      this.flush();
+    }
+  }
+  
+  // Best scores: resolves to [{ rank, name, score, level, date }, ...]
+  getTop(count = 10) {
+    return this.request(`/scores?limit=${count}`).then(data => data.scores);
+  }
+  
+  // Scores ranked just above and below a player's best: resolves to
+  // { rank, scores }, with rank null if the player has no score yet
+  getAround(name, range = 4) {
+    return this.request(`/scores/around?name=${encodeURIComponent(name)}&range=${range}`);
+  }
+  
+  // JSON request to the server. Rejects with an Error; errors the server
+  // answered with (4xx) are marked rejected.
+  request(path, options = {}) {
+    if (!this.enabled) {
+      return Promise.reject(new Error("No leaderboard server configured"));
+    }
+    
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LEADERBOARD_TIMEOUT);
+    
+    return fetch(this.url + path, {
+      method: options.method || 'GET',
+      headers: options.body ? { 'Content-Type': 'application/json' } : {},
+      body: options.body ? JSON.stringify(options.body) : undefined,
+      signal: controller.signal
+    })
+      .then(response => response.json().catch(() => ({})).then(data => {
+        if (!response.ok) {
+          const error = new Error(data.error || `Server error ${response.status}`);
+          error.rejected = response.status >= 400 && response.status < 500;
+          throw error;
+        }
+        return data;
+      }))
+      .finally(() => clearTimeout(timer));
+  }
+  
+  load() {
+    if (!this.storage) return;
+    
+    try {
+      const saved = JSON.parse(this.storage.getItem('spacePotatoLeaderboard'));
+      if (!saved) return;
+      
+      if (Array.isArray(saved.queue)) {
+        this.queue = saved.queue;
+      }
+      if (typeof saved.playerName === 'string') {
+        this.playerName = saved.playerName;
+      }
+    } catch (e) {
+      logger.warn('storage', "Error loading leaderboard queue:", e);
+    }
+  }
+  
+  save() {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem('spacePotatoLeaderboard', JSON.stringify({ queue: this.queue, playerName: this.playerName }));
+    } catch (e) {
+      logger.warn('storage', "Error saving leaderboard queue:", e);
+    }
+  }
+}
@@ -0,0 +1,76 @@
+// Leveled logging with per-subsystem categories.
+//
+// Every message has a level and a category naming the subsystem it comes
+// from ('player', 'enemy', 'collision', 'storage'...). Messages below the
+// threshold for their category are dropped, and only warnings and errors get
+// through by default. Turn more on from the URL, e.g.
+// index.html?log=debug or index.html?log=info,enemy:debug,collision:off
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3, off: 4 };
+
+class Logger {
+  constructor(level = 'warn') {
+    this.level = LOG_LEVELS[level];
+    this.categoryLevels = {}; // Category -> threshold, overriding this.level
+  }
+  
+  // Set the threshold for one category, or for everything without its own
+  setLevel(level, category) {
+    if (!(level in LOG_LEVELS)) {
+      console.warn(`Unknown log level: ${level}`);
+      return;
+    }
+    
+    if (category) {
+      this.categoryLevels[category] = LOG_LEVELS[level];
+    } else {
+      this.level = LOG_LEVELS[level];
+    }
+  }
+  
+  // Apply a comma-separated list of "level" and "category:level" entries
+  configure(spec) {
+    for (const entry of spec.split(',')) {
+      const [first, second] = entry.trim().split(':');
+      if (second === undefined) {
+        this.setLevel(first);
+      } else {
+        this.setLevel(second, first);
+      }
+    }
+  }
+  
+  isEnabled(level, category) {
+    const threshold = category in this.categoryLevels ? this.categoryLevels[category] : this.level;
+    return LOG_LEVELS[level] >= threshold;
+  }
+  
+  // A message can be a function returning the text, so hot paths don't build
+  // strings nobody will see
+  debug(category, ...args) {
+    this.write('debug', category, args);
+  }
+  
+  info(category, ...args) {
+    this.write('info', category, args);
+  }
+  
+  warn(category, ...args) {
+    this.write('warn', category, args);
+  }
+  
+  error(category, ...args) {
+    this.write('error', category, args);
+  }
+  
+  write(level, category, args) {
+    if (!this.isEnabled(level, category)) return;
+    
+    if (typeof args[0] === 'function') {
+      args = [args[0](), ...args.slice(1)];
+    }
+    console[level](`[${category}]`, ...args);
+  }
+}
+
+// Shared by all game code
+const logger = new Logger();
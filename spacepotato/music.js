@@ -0,0 +1,234 @@
+// Procedural background music: a 16-step sequencer playing the instrument
+// sounds from the sound bank on the music channel.
+//
+// Patterns are 16 steps long. Melodic layers hold MIDI note numbers (null for
+// a rest) and drum layers hold 1 for a hit. Each bar is transposed by the next
+// entry in the track's progression.
+const MUSIC_TRACKS = {
+  // In-game track; tempo and layers follow the game's intensity
+  game: {
+    tempo: 110,
+    progression: [0, -4, -2, -5],
+    bass: [45, null, 45, null, 57, null, 45, null, 45, null, 45, 57, null, 45, 55, null],
+    lead: [69, null, 72, null, 76, null, 72, null, 74, null, 72, null, 69, null, 67, null],
+    leadDanger: [81, 80, 81, null, 76, null, 77, 76, 81, 80, 81, null, 84, null, 83, null],
+    kick: [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0],
+    snare: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 1],
+    hat: [1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1]
+  },
+  
+  // Slow pad while paused
+  pause: {
+    tempo: 60,
+    progression: [0, -4],
+    pad: [57, null, null, null, 60, null, null, null, 64, null, null, null, 60, null, null, null]
+  },
+  
+  // Descending loop on the game over screen
+  gameOver: {
+    tempo: 70,
+    progression: [0, -2, -4, -5],
+    bass: [45, null, null, null, null, null, null, null, 40, null, null, null, null, null, null, null],
+    pad: [69, null, null, null, 67, null, null, null, 64, null, null, null, 60, null, null, null]
+  }
+};
+
+// Sound bank names of the instruments used by the tracks
+const MUSIC_INSTRUMENTS = {
+  bass: 'musicBass',
+  lead: 'musicLead',
+  pad: 'musicPad',
+  kick: 'musicKick',
+  snare: 'musicSnare',
+  hat: 'musicHat'
+};
+
+// Frequency in Hz of a MIDI note number
+function noteFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// Steps through the current track in real time. Music is presentation only,
+// so it runs off the frame clock rather than the simulation tick.
+class MusicSequencer {
+  constructor(sound) {
+    this.sound = sound;
+    this.track = null;
+    this.trackName = null;
+    this.step = 0;
+    this.bar = 0;
+    this.timer = 0;
+    
+    // Set each frame from the game state
+    this.intensity = { level: 1, enemies: 0, health: 1 };
+  }
+  
+  // Switch tracks (null for silence), restarting from the top of the new one
+  play(trackName) {
+    if (trackName === this.trackName) return;
+    
+    this.trackName = trackName;
+    this.track = trackName ? MUSIC_TRACKS[trackName] : null;
+    this.step = 0;
+    this.bar = 0;
+    this.timer = 0;
+  }
+  
+  // level, enemies on screen and player health as a fraction of max
+  setIntensity(level, enemies, health) {
+    this.intensity.level = level;
+    this.intensity.enemies = enemies;
+    this.intensity.health = health;
+  }
+  
+  // Tempo in BPM; the game track speeds up with level and busier screens
+  getTempo() {
+    if (this.trackName !== 'game') return this.track.tempo;
+    
+    const { level, enemies } = this.intensity;
+    return Math.min(180, this.track.tempo + (level - 1) * 6 + Math.min(enemies, 15) * 1.5);
+  }
+  
+  // Called once per rendered frame with the elapsed time in milliseconds
+  update(elapsed) {
+    if (!this.track || !this.sound.enabled) return;
+    
+    // Sixteenth notes
+    const stepLength = 60000 / this.getTempo() / 4;
+    this.timer += elapsed;
+    
+    // Don't try to catch up on a long stall (e.g. a background tab)
+    if (this.timer > stepLength * 4) {
+      this.timer = stepLength;
+    }
+    
+    while (this.timer >= stepLength) {
+      this.timer -= stepLength;
+      this.playStep();
+      this.step = (this.step + 1) % 16;
+      if (this.step === 0) {
+        this.bar++;
+      }
+    }
+  }
+  
+  playStep() {
+    const track = this.track;
+    const step = this.step;
+    const transpose = track.progression[this.bar % track.progression.length];
+    const { level, enemies, health } = this.intensity;
+    const inGame = this.trackName === 'game';
+    
+    // Bass and pads are always on
+    this.playNote('bass', track.bass, step, transpose);
+    this.playNote('pad', track.pad, step, transpose);
+    
+    // Drums build up with the level and the number of enemies
+    this.playHit('kick', track.kick, step);
+    if (!inGame || level >= 2 || enemies >= 4) {
+      this.playHit('snare', track.snare, step);
+    }
+    if (!inGame || enemies >= 6) {
+      this.playHit('hat', track.hat, step);
+    }
+    
+    // The lead comes in when things get busy and turns frantic at low health
+    if (inGame && health <= 0.34) {
+      this.playNote('lead', track.leadDanger, step, transpose);
+    } else if (!inGame || level >= 3 || enemies >= 8) {
+      this.playNote('lead', track.lead, step, transpose);
+    }
+  }
+  
+  playNote(instrument, pattern, step, transpose) {
+    if (!pattern || pattern[step] === null) return;
+    this.sound.play(MUSIC_INSTRUMENTS[instrument], { freq: noteFrequency(pattern[step] + transpose) });
+  }
+  
+  playHit(instrument, pattern, step) {
+    if (!pattern || !pattern[step]) return;
+    this.sound.play(MUSIC_INSTRUMENTS[instrument]);
+  }
+}
+
+// Instruments
+
+registerSound({
+  name: 'musicBass',
+  channel: 'music',
+  wave: 'triangle',
+  freq: 110,
+  attack: 0.01,
+  decay: 0.15,
+  sustain: 0.4,
+  hold: 0.05,
+  release: 0.1,
+  volume: 0.25,
+  voices: 2
+});
+
+registerSound({
+  name: 'musicLead',
+  channel: 'music',
+  wave: 'square',
+  freq: 440,
+  attack: 0.01,
+  decay: 0.1,
+  sustain: 0.3,
+  hold: 0.05,
+  release: 0.1,
+  volume: 0.05,
+  voices: 2
+});
+
+registerSound({
+  name: 'musicPad',
+  channel: 'music',
+  wave: 'sine',
+  freq: 440,
+  attack: 0.3,
+  decay: 0.5,
+  sustain: 0.6,
+  hold: 0.8,
+  release: 1.2,
+  volume: 0.12,
+  voices: 4
+});
+
+registerSound({
+  name: 'musicKick',
+  channel: 'music',
+  wave: 'sine',
+  freq: 150,
+  freqEnd: 45,
+  sweep: 0.12,
+  attack: 0.002,
+  decay: 0.15,
+  release: 0.05,
+  volume: 0.35,
+  voices: 2
+});
+
+registerSound({
+  name: 'musicSnare',
+  channel: 'music',
+  wave: 'noise',
+  noise: 'white',
+  attack: 0.002,
+  decay: 0.12,
+  release: 0.05,
+  volume: 0.1,
+  voices: 2
+});
+
+registerSound({
+  name: 'musicHat',
+  channel: 'music',
+  wave: 'noise',
+  noise: 'white',
+  attack: 0.001,
+  decay: 0.03,
+  release: 0.02,
+  volume: 0.04,
+  voices: 2
+});
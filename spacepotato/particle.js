@@ -1,25 +1,42 @@
+// Particles are pooled (see pool.js): the constructor allocates the vectors
+// once, and reset() sets a particle up whether it's new or recycled.
 class Particle {
-  constructor(x, y, size = 5, particleColor) {
+  constructor(game, ...args) {
+    this.game = game;
+    
+    // Position and physics
+    this.pos = new Vector2();
+    this.vel = new Vector2();
+    this.acc = new Vector2();
+    
+    this.reset(...args);
+  }
+  
+  reset(x, y, size = 5, particleColor) {
+    const game = this.game;
+    
     // Position and physics
-    this.pos = createVector(x, y);
-    this.vel = p5.Vector.random2D().mult(random(1, 3));
-    this.acc = createVector(0, 0);
+    this.pos.set(x, y);
+    const angle = game.fxRng.random(Math.PI * 2);
+    const speed = game.fxRng.random(1, 3);
+    this.vel.set(Math.cos(angle) * speed, Math.sin(angle) * speed);
+    this.acc.set(0, 0);
     
     // Visual properties
-    this.size = random(size * 0.5, size);
+    this.size = game.fxRng.random(size * 0.5, size);
     this.originalSize = this.size;
-    this.color = particleColor || color(255, 150, 0);
+    this.color = particleColor || [255, 150, 0];
     this.alpha = 255;
-    this.fadeSpeed = random(3, 8);
+    this.fadeSpeed = game.fxRng.random(3, 8);
     
     // Lifespan
     this.life = 100;
-    this.decayRate = random(1.5, 3);
+    this.decayRate = game.fxRng.random(1.5, 3);
   }
   
   update() {
     // Add some random movement
-    this.acc.add(createVector(random(-0.1, 0.1), random(-0.1, 0.1)));
+    this.acc.add(this.game.fxRng.random(-0.1, 0.1), this.game.fxRng.random(-0.1, 0.1));
     
     // Apply physics
     this.vel.add(this.acc);
@@ -31,8 +48,8 @@ class Particle {
     
     // Decay life and size
     this.life -= this.decayRate;
-    this.size = map(this.life, 100, 0, this.originalSize, 0);
-    this.alpha = map(this.life, 100, 0, 255, 0);
+    this.size = mapRange(this.life, 100, 0, this.originalSize, 0);
+    this.alpha = mapRange(this.life, 100, 0, 255, 0);
   }
   
   display() {
@@ -43,7 +60,7 @@ class Particle {
     if (this.color) {
       // If a color was provided, use it with alpha
       const c = this.color;
-      fill(c.levels[0], c.levels[1], c.levels[2], this.alpha);
+      fill(c[0], c[1], c[2], this.alpha);
     } else {
       // Otherwise use a default explosion color
       fill(255, constrain(this.life * 2, 0, 255), 0, this.alpha);
@@ -85,29 +102,35 @@ class Particle {
 
 // Special sparks that move in more controlled patterns
 class Spark extends Particle {
-  constructor(x, y, angle, speed, size, color) {
-    super(x, y, size, color);
+  // Same arguments as the constructor, minus the game
+  reset(x, y, angle, speed, size, color) {
+    super.reset(x, y, size, color);
     
     // Override velocity with specified angle and speed
-    this.vel = p5.Vector.fromAngle(angle).mult(speed);
+    this.vel.set(Math.cos(angle) * speed, Math.sin(angle) * speed);
     
     // Sparks have higher decay
-    this.decayRate = random(2, 4);
+    this.decayRate = this.game.fxRng.random(2, 4);
     
-    // Trailing effect
+    // Trailing effect: the last few positions in a ring of reused points
     this.hasTrail = true;
     this.trailLength = 5;
-    this.history = [];
+    if (!this.history) {
+      this.history = Array.from({ length: this.trailLength }, () => new Vector2());
+    }
+    this.historyStart = 0; // Oldest point
+    this.historyCount = 0;
   }
   
   update() {
-    // Store position history for trail
+    // Store position history for trail, overwriting the oldest point once full
     if (this.hasTrail) {
-      this.history.push(createVector(this.pos.x, this.pos.y));
-      
-      // Limit history length
-      if (this.history.length > this.trailLength) {
-        this.history.splice(0, 1);
+      const next = (this.historyStart + this.historyCount) % this.trailLength;
+      this.history[next].set(this.pos.x, this.pos.y);
+      if (this.historyCount < this.trailLength) {
+        this.historyCount++;
+      } else {
+        this.historyStart = (this.historyStart + 1) % this.trailLength;
       }
     }
     
@@ -117,14 +140,15 @@ class Spark extends Particle {
   
   display() {
     // Draw trail first (if enabled)
-    if (this.hasTrail && this.history.length > 1) {
+    if (this.hasTrail && this.historyCount > 1) {
       noFill();
-      stroke(this.color.levels[0], this.color.levels[1], this.color.levels[2], this.alpha * 0.5);
+      stroke(this.color[0], this.color[1], this.color[2], this.alpha * 0.5);
       strokeWeight(this.size * 0.5);
       
       beginShape();
-      for (let i = 0; i < this.history.length; i++) {
-        vertex(this.history[i].x, this.history[i].y);
+      for (let i = 0; i < this.historyCount; i++) {
+        const point = this.history[(this.historyStart + i) % this.trailLength];
+        vertex(point.x, point.y);
       }
       vertex(this.pos.x, this.pos.y);
       endShape();
@@ -132,7 +156,7 @@ class Spark extends Particle {
     
     // Draw the spark itself
     noStroke();
-    fill(this.color.levels[0], this.color.levels[1], this.color.levels[2], this.alpha);
+    fill(this.color[0], this.color[1], this.color[2], this.alpha);
     ellipse(this.pos.x, this.pos.y, this.size);
   }
 } 
\ No newline at end of file
@@ -1,9 +1,20 @@
+// Potato colors for each player in co-op
+const PLAYER_COLORS = [
+  { body: [200, 150, 100], spots: [150, 100, 50] },
+  { body: [170, 130, 200], spots: [120, 85, 150] } // Purple potato for player 2
+];
+
 class Player {
-  constructor() {
-    // Position and physics
-    this.pos = createVector(width / 2, height - 100);
-    this.vel = createVector(0, 0);
-    this.acc = createVector(0, 0);
+  // index is 0 for player 1 and 1 for player 2; count is how many are playing
+  constructor(game, index = 0, count = 1) {
+    this.game = game;
+    this.index = index;
+    this.colors = PLAYER_COLORS[index];
+    
+    // Position and physics. Co-op players start side by side.
+    this.pos = new Vector2(game.width * (index + 1) / (count + 1), game.height - 100);
+    this.vel = new Vector2(0, 0);
+    this.acc = new Vector2(0, 0);
     this.maxSpeed = 5;
     this.size = 40;
     this.hitboxSize = this.size * 0.8; // Smaller hitbox than visual size
@@ -14,31 +25,32 @@ class Player {
     this.isMovingUp = false;
     this.isMovingDown = false;
     
+    // Analog movement (e.g. a gamepad stick), each axis -1 to 1
+    this.moveAxis = new Vector2(0, 0);
+    
     // Game mechanics
     this.health = 5;
     this.maxHealth = 5;
-    this.lives = 2;
+    this.lives = game.getDifficulty().lives;
     this.shootCooldown = 0;
-    this.shootCooldownMax = 15; // frames between shots
+    this.shootCooldownMax = 15; // frames between shots, before upgrades
+    this.isShooting = false; // Shoot held (or auto-fire on)
     this.isInvulnerable = false;
     this.invulnerabilityTimer = 0;
     this.invulnerabilityDuration = 90; // 1.5 seconds at 60fps
     
-    // Powerups
-    this.activePowerups = {
-      tripleShot: false,
-      powerShot: false,
-      shield: false,
-      speedBoost: false
-    };
+    // Co-op revive: a knocked out player comes back after a teammate stays
+    // within range for long enough
+    this.reviveProgress = 0;
+    this.REVIVE_TIME = 180; // 3 seconds at 60fps
+    this.REVIVE_RANGE = 80;
     
-    // Powerup timers
-    this.powerupTimers = {
-      shield: 0
-    };
+    // Timed powerups in effect, by type name: { timer, stacks }
+    this.activePowerups = {};
     
-    // Powerup durations
-    this.SHIELD_DURATION = 600; // 10 seconds at 60fps
+    // Secondary weapon
+    this.grenades = GRENADE_START_AMMO;
+    this.grenadeCooldown = 0;
     
     // Animation
     this.thrustAnimation = 0;
@@ -46,17 +58,25 @@ class Player {
     this.targetAngle = 0;
   }
   
+  // Out of lives. In co-op a downed player waits to be revived.
+  get isDown() {
+    return this.lives <= 0;
+  }
+  
   update() {
+    if (this.isDown) return;
+    
     // Apply acceleration based on movement flags
     this.acc.set(0, 0);
     
     // Apply speed boost if active
-    const currentMaxSpeed = this.activePowerups.speedBoost ? this.maxSpeed * 1.5 : this.maxSpeed;
+    const currentMaxSpeed = this.hasPowerup('speedBoost') ? this.maxSpeed * 1.5 : this.maxSpeed;
     
     if (this.isMovingLeft) this.acc.x -= 0.5;
     if (this.isMovingRight) this.acc.x += 0.5;
     if (this.isMovingUp) this.acc.y -= 0.5;
     if (this.isMovingDown) this.acc.y += 0.5;
+    this.acc.add(this.moveAxis.x * 0.5, this.moveAxis.y * 0.5);
     
     // Apply physics
     this.vel.add(this.acc);
@@ -67,36 +87,34 @@ class Player {
     this.vel.mult(0.9);
     
     // Keep player within boundaries
-    this.pos.x = constrain(this.pos.x, this.size / 2, width - this.size / 2);
-    this.pos.y = constrain(this.pos.y, this.size / 2, height - this.size / 2);
+    this.updateBoundaries();
     
     // Update shooting cooldown
     if (this.shootCooldown > 0) {
       this.shootCooldown--;
     }
+    if (this.grenadeCooldown > 0) {
+      this.grenadeCooldown--;
+    }
+    
+    // Keep firing while shoot is held; the cooldown sets the fire rate
+    if (this.isShooting) {
+      this.shoot();
+    }
     
     // Update invulnerability state
     if (this.isInvulnerable) {
       this.invulnerabilityTimer--;
       
       // If not shield-powered invulnerability, check timer
-      if (!this.activePowerups.shield) {
+      if (!this.hasPowerup('shield')) {
         if (this.invulnerabilityTimer <= 0) {
           this.isInvulnerable = false;
         }
       }
     }
     
-    // Update shield timer
-    if (this.activePowerups.shield) {
-      this.powerupTimers.shield--;
-      
-      if (this.powerupTimers.shield <= 0) {
-        this.activePowerups.shield = false;
-        this.isInvulnerable = false;
-        console.log("Shield expired");
-      }
-    }
+    this.updatePowerups();
     
     // Update animation timers
     this.thrustAnimation += 0.2;
@@ -106,47 +124,78 @@ class Player {
     this.angle += angleDiff * 0.1;
   }
   
-  applyPowerup(type) {
-    // Clear current powerups of the same category
-    if (type === 'tripleShot' || type === 'powerShot') {
-      this.activePowerups.tripleShot = false;
-      this.activePowerups.powerShot = false;
-    } else if (type === 'shield' || type === 'speedBoost') {
-      this.activePowerups.shield = false;
-      this.activePowerups.speedBoost = false;
+  // Count down timed powerups and end the ones that run out
+  updatePowerups() {
+    for (const name in this.activePowerups) {
+      const active = this.activePowerups[name];
+      active.timer--;
+      
+      if (active.timer <= 0) {
+        delete this.activePowerups[name];
+        const type = POWERUP_TYPES[name];
+        if (type.expire) {
+          type.expire(this);
+        }
+        logger.debug('player', `${type.label} expired`);
+      }
+    }
+  }
+  
+  // Start a powerup, or apply its stacking rule if it's already active
+  applyPowerup(name) {
+    const type = POWERUP_TYPES[name];
+    if (!type) {
+      logger.warn('player', `Unknown powerup type: ${name}`);
+      return;
     }
     
-    // Apply the new powerup
-    switch(type) {
-      case 'tripleShot':
-        this.activePowerups.tripleShot = true;
-        break;
-      case 'powerShot':
-        this.activePowerups.powerShot = true;
-        break;
-      case 'shield':
-        this.activePowerups.shield = true;
-        this.powerupTimers.shield = this.SHIELD_DURATION;
-        this.isInvulnerable = true;
-        break;
-      case 'speedBoost':
-        this.activePowerups.speedBoost = true;
-        break;
+    if (type.duration !== null) {
+      const active = this.activePowerups[name];
+      if (!active) {
+        this.activePowerups[name] = { timer: type.duration, stacks: 1 };
+      } else if (type.stacking === 'extend') {
+        active.timer = Math.min(active.timer + type.duration, type.maxDuration);
+      } else {
+        if (type.stacking === 'stack') {
+          active.stacks = Math.min(active.stacks + 1, type.maxStacks);
+        }
+        active.timer = type.duration;
+      }
     }
+    
+    if (type.apply) {
+      type.apply(this);
+    }
+  }
+  
+  hasPowerup(name) {
+    return name in this.activePowerups;
+  }
+  
+  // Stacks of a powerup in effect, 0 if it isn't
+  getPowerupStacks(name) {
+    const active = this.activePowerups[name];
+    return active ? active.stacks : 0;
   }
   
-  takeDamage(amount) {
+  // source says what hit the player, for the run's stats. hitter is the
+  // enemy or shot that hit them, where the hit is shown; without one it shows
+  // on the player.
+  takeDamage(amount, source = 'unknown', hitter = null) {
     // If invulnerable, don't take damage
     if (this.isInvulnerable) return;
     
     // Apply damage
     this.health -= amount;
-    
-    // Reset all powerups when taking damage
-    this.clearPowerups();
-    
-    // Apply screen shake
-    applyScreenShake(10, 5);
+    const at = hitter || this;
+    this.game.events.emit('playerHit', {
+      player: this,
+      source: source,
+      amount: amount,
+      x: at.pos.x,
+      y: at.pos.y,
+      size: hitter ? hitter.size : this.size / 2
+    });
     
     // Start invulnerability period
     this.isInvulnerable = true;
@@ -162,16 +211,34 @@ class Player {
     }
   }
   
-  clearPowerups() {
-    // Clear all active powerups
-    for (const powerup in this.activePowerups) {
-      this.activePowerups[powerup] = false;
-    }
+  // Back into the fight with one life, full health and a moment of safety
+  revive() {
+    this.lives = 1;
+    this.health = this.maxHealth;
+    this.reviveProgress = 0;
+    this.isInvulnerable = true;
+    this.invulnerabilityTimer = this.invulnerabilityDuration;
   }
   
   display() {
     push();
     translate(this.pos.x, this.pos.y);
+    
+    // Tag each potato in co-op
+    if (this.game.players.length > 1) {
+      fill(this.colors.body);
+      noStroke();
+      textAlign(CENTER, BOTTOM);
+      textSize(14);
+      text(`P${this.index + 1}`, 0, -this.size - 5);
+    }
+    
+    if (this.isDown) {
+      this.drawDowned();
+      pop();
+      return;
+    }
+    
     rotate(this.angle);
     
     // Draw thrusters
@@ -181,7 +248,7 @@ class Player {
     this.drawPotatoBody();
     
     // Draw shield if active
-    if (this.activePowerups.shield) {
+    if (this.hasPowerup('shield')) {
       this.drawShield();
     }
     
@@ -195,7 +262,7 @@ class Player {
   
   drawPotatoBody() {
     // Main potato body
-    fill(200, 150, 100); // Brown potato color
+    fill(this.colors.body);
     noStroke();
     
     // Draw potato shape as a slightly irregular ellipse using beginShape
@@ -211,7 +278,7 @@ class Player {
     endShape(CLOSE);
     
     // Draw darker spots on the potato
-    fill(150, 100, 50);
+    fill(this.colors.spots);
     noStroke();
     ellipse(-this.size * 0.3, this.size * 0.1, this.size * 0.2, this.size * 0.15);
     ellipse(this.size * 0.2, -this.size * 0.2, this.size * 0.15, this.size * 0.25);
@@ -286,6 +353,26 @@ class Player {
     ellipse(0, 0, this.size * 2.2 + sin(frameCount * 0.05) * 5);
   }
   
+  // Faded outline with the revive progress around it
+  drawDowned() {
+    noFill();
+    stroke(this.colors.body[0], this.colors.body[1], this.colors.body[2], 120);
+    strokeWeight(2);
+    ellipse(0, 0, this.size * 1.8);
+    
+    if (this.reviveProgress > 0) {
+      stroke(100, 255, 100);
+      strokeWeight(4);
+      arc(0, 0, this.size * 2.2, this.size * 2.2, -HALF_PI, -HALF_PI + TWO_PI * this.reviveProgress / this.REVIVE_TIME);
+    }
+    
+    noStroke();
+    fill(255, 150);
+    textAlign(CENTER, CENTER);
+    textSize(12);
+    text("REVIVE", 0, 0);
+  }
+  
   drawInvulnerabilityFlash() {
     // Flash effect when invulnerable
     fill(255, 255, 255, 100);
@@ -295,46 +382,74 @@ class Player {
   
   shoot() {
     if (this.shootCooldown <= 0) {
-      // Reset cooldown
-      this.shootCooldown = this.shootCooldownMax;
+      const weapon = this.getWeapon();
+      this.shootCooldown = weapon.cooldown;
       
-      // Create projectiles with increased damage
-      const damage = this.activePowerups.powerShot ? 2 : 1;
-      
-      if (this.activePowerups.tripleShot) {
-        // Triple shot powerup active
-        const center = new Projectile(this.pos.x, this.pos.y, 0, -10);
-        const left = new Projectile(this.pos.x, this.pos.y, -2, -9);
-        const right = new Projectile(this.pos.x, this.pos.y, 2, -9);
-        
-        // Set damage and log
-        center.damage = damage;
-        left.damage = damage;
-        right.damage = damage;
-        
-        console.log(`Shooting triple projectiles, damage=${damage}, hitboxSize=${center.hitboxSize}`);
-        
-        game.projectiles.push(center);
-        game.projectiles.push(left);
-        game.projectiles.push(right);
-      } else {
-        // Regular single shot
-        const projectile = new Projectile(this.pos.x, this.pos.y, 0, -10);
-        projectile.damage = damage;
-        
-        console.log(`Shooting projectile, damage=${damage}, hitboxSize=${projectile.hitboxSize}`);
-        
-        game.projectiles.push(projectile);
+      // A fan of fries centered straight up, spread radians apart
+      for (let i = 0; i < weapon.shots; i++) {
+        const angle = (i - (weapon.shots - 1) / 2) * weapon.spread;
+        const projectile = this.game.projectilePool.acquire(this.pos.x, this.pos.y, Math.sin(angle) * 10, -Math.cos(angle) * 10);
+        this.modifyProjectile(projectile, weapon.damage);
+        this.game.projectiles.push(projectile);
       }
       
-      // Create muzzle flash effect
-      game.createExplosion(this.pos.x, this.pos.y - this.size/2, 5, 5, color(255, 200, 50));
+      logger.debug('player', () => `Shooting ${weapon.shots} projectiles, damage=${weapon.damage}, cooldown=${weapon.cooldown}`);
+      
+      // Sound, muzzle flash and stats listen for this
+      this.game.events.emit('shotFired', {
+        player: this,
+        count: weapon.shots,
+        x: this.pos.x,
+        y: this.pos.y - this.size/2
+      });
+    }
+  }
+  
+  // The fry gun with the tiers of the shot powerups in effect applied: fries
+  // per volley, radians between them, damage per fry and ticks between volleys
+  getWeapon() {
+    const weapon = { shots: 1, spread: 0, damage: 1, cooldown: this.shootCooldownMax };
+    
+    for (const name in this.activePowerups) {
+      const tiers = POWERUP_TYPES[name].tiers;
+      if (!tiers) continue;
+      
+      const tier = tiers[this.activePowerups[name].stacks - 1];
+      if (tier.shots) {
+        weapon.shots = tier.shots;
+        weapon.spread = tier.spread;
+      }
+      weapon.damage += tier.damage || 0;
+      weapon.cooldown = Math.min(weapon.cooldown, tier.cooldown || Infinity);
     }
+    return weapon;
+  }
+  
+  // Throw a grenade if there's ammo and the last one is far enough away
+  throwGrenade() {
+    if (this.isDown || this.grenades <= 0 || this.grenadeCooldown > 0) return;
+    
+    this.grenades--;
+    this.grenadeCooldown = GRENADE_COOLDOWN;
+    this.game.grenades.push(new Grenade(this.game, this.pos.x, this.pos.y - this.size / 2));
+    this.game.playSound("grenadeThrow");
+    logger.debug('player', () => `Threw a grenade, ${this.grenades} left`);
+  }
+  
+  addGrenades(count) {
+    this.grenades = Math.min(GRENADE_MAX_AMMO, this.grenades + count);
+  }
+  
+  // Damage and the fry powerups in effect
+  modifyProjectile(projectile, damage) {
+    projectile.damage = damage;
+    projectile.homing = this.hasPowerup('homing');
+    projectile.pierce = this.getPowerupStacks('piercing');
   }
   
   updateBoundaries() {
-    // Called when canvas is resized
-    this.pos.x = constrain(this.pos.x, this.size / 2, width - this.size / 2);
-    this.pos.y = constrain(this.pos.y, this.size / 2, height - this.size / 2);
+    // Also called when the playfield is resized
+    this.pos.x = clamp(this.pos.x, this.size / 2, this.game.width - this.size / 2);
+    this.pos.y = clamp(this.pos.y, this.size / 2, this.game.height - this.size / 2);
   }
 } 
\ No newline at end of file
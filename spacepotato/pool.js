@@ -0,0 +1,61 @@
+// Object pools for short-lived, high-volume objects (particles and
+// projectiles), so long sessions don't keep feeding the garbage collector.
+//
+// Pooled classes take the game as their first constructor argument and have
+// a reset() taking the rest, which sets the object up as if it were new.
+class ObjectPool {
+  // create(...args) makes a new instance; reuse calls instance.reset(...args)
+  constructor(name, create) {
+    this.name = name;
+    this.create = create;
+    this.free = []; // Released instances waiting to be reused
+    this.created = 0; // Instances ever made
+    this.inUse = 0;
+  }
+  
+  // A recycled instance set up with args, or a new one if none are free.
+  // Each instance remembers its pool so it can be released without knowing
+  // which pool it came from.
+  acquire(...args) {
+    let item;
+    if (this.free.length > 0) {
+      item = this.free.pop();
+      item.reset(...args);
+    } else {
+      item = this.create(...args);
+      item.pool = this;
+      this.created++;
+    }
+    this.inUse++;
+    return item;
+  }
+  
+  release(item) {
+    this.inUse--;
+    this.free.push(item);
+  }
+}
+
+// Remove an item from a list by moving the last item into its place. Order
+// isn't kept, so loop from the end when removing while iterating.
+function swapRemove(list, index) {
+  const last = list.pop();
+  if (index < list.length) {
+    list[index] = last;
+  }
+}
+
+// Remove a pooled item from its list and give it back to its pool
+function recycle(list, index) {
+  const item = list[index];
+  swapRemove(list, index);
+  item.pool.release(item);
+}
+
+// Give every pooled item in a list back and empty the list
+function recycleAll(list) {
+  for (const item of list) {
+    item.pool.release(item);
+  }
+  list.length = 0;
+}
@@ -0,0 +1,365 @@
+// Powerup type registry.
+//
+// Each powerup type is declared as data: what it does, how long it lasts,
+// what happens when it's picked up again while still active, how often it
+// drops and how its icon looks. Adding a powerup means calling
+// registerPowerupType() (and, if needed, adding an icon below); drops, the
+// player, the HUD and the help screen all read from the registry.
+
+// Icons drawn in white over the powerup's colored circle, centered on the
+// origin. Shared by the pickups and the HUD.
+const POWERUP_ICONS = {
+  tripleShot(size) {
+    stroke(255);
+    strokeWeight(2);
+    for (const angle of [-PI / 6, 0, PI / 6]) {
+      push();
+      rotate(angle);
+      line(0, -size / 3, 0, size / 3);
+      pop();
+    }
+  },
+  
+  powerShot(size) {
+    // A thick fry
+    noStroke();
+    fill(255);
+    rect(-size / 8, -size / 3, size / 4, size * 2 / 3, 2);
+  },
+  
+  shield(size) {
+    noFill();
+    stroke(255);
+    strokeWeight(2);
+    arc(0, 0, size * 0.7, size * 0.7, PI, TWO_PI);
+    line(-size / 6, 0, size / 6, 0);
+  },
+  
+  speedBoost(size) {
+    // Lightning bolt
+    fill(255);
+    noStroke();
+    beginShape();
+    vertex(-size / 6, -size / 3);
+    vertex(0, -size / 8);
+    vertex(-size / 10, size / 8);
+    vertex(size / 6, size / 3);
+    vertex(0, -size / 8);
+    vertex(size / 10, -size / 5);
+    endShape(CLOSE);
+  },
+  
+  health(size) {
+    fill(255);
+    noStroke();
+    rect(-size / 4, -size / 12, size / 2, size / 6, 2);
+    rect(-size / 12, -size / 4, size / 6, size / 2, 2);
+  },
+  
+  extraLife(size) {
+    fill(255);
+    noStroke();
+    beginShape();
+    vertex(0, size / 6);
+    bezierVertex(size / 4, -size / 4, size / 2, 0, 0, size / 3);
+    bezierVertex(-size / 2, 0, -size / 4, -size / 4, 0, size / 6);
+    endShape();
+  },
+  
+  homing(size) {
+    // Crosshair
+    noFill();
+    stroke(255);
+    strokeWeight(2);
+    ellipse(0, 0, size * 0.45);
+    line(0, -size / 3, 0, size / 3);
+    line(-size / 3, 0, size / 3, 0);
+  },
+  
+  piercing(size) {
+    // Arrow through a bar
+    stroke(255);
+    strokeWeight(2);
+    line(0, size / 3, 0, -size / 3);
+    line(0, -size / 3, -size / 8, -size / 6);
+    line(0, -size / 3, size / 8, -size / 6);
+    line(-size / 4, size / 12, size / 4, size / 12);
+  },
+  
+  magnet(size) {
+    noFill();
+    stroke(255);
+    strokeWeight(3);
+    arc(0, 0, size * 0.5, size * 0.5, 0, PI);
+    line(-size / 4, 0, -size / 4, -size / 4);
+    line(size / 4, 0, size / 4, -size / 4);
+  },
+  
+  slowMo(size) {
+    // Hourglass
+    fill(255);
+    noStroke();
+    triangle(-size / 5, -size / 3, size / 5, -size / 3, 0, 0);
+    triangle(-size / 5, size / 3, size / 5, size / 3, 0, 0);
+  },
+  
+  bomb(size) {
+    fill(255);
+    noStroke();
+    ellipse(0, size / 12, size * 0.45);
+    stroke(255);
+    strokeWeight(2);
+    line(size / 8, -size / 8, size / 4, -size / 3);
+  },
+  
+  grenades(size) {
+    // Lumpy scoop of mash
+    fill(255);
+    noStroke();
+    ellipse(0, size / 12, size * 0.5, size * 0.4);
+    ellipse(-size / 8, -size / 12, size * 0.3);
+    ellipse(size / 8, -size / 10, size * 0.28);
+  }
+};
+
+// Registered powerup types by name, in registration order
+const POWERUP_TYPES = {};
+
+// Add a powerup type. Fields:
+//   name, label         - id and display name
+//   description         - caption shown when it's collected
+//   summary             - short line for the help screen
+//   color               - [r, g, b]
+//   colorblindColor     - [r, g, b] used by the colorblind palette; no two
+//                         types may share one
+//   icon                - key into POWERUP_ICONS
+//   weight              - relative drop chance (0 never drops)
+//   duration            - ticks it lasts, or null for an instant effect
+//   stacking            - what picking it up again while active does:
+//                         'refresh' restarts the timer, 'extend' adds the
+//                         duration (up to maxDuration), 'stack' adds a stack
+//                         (up to maxStacks) and restarts the timer
+//   maxDuration, maxStacks
+//   tiers               - fry gun upgrades, one per stack. Each tier can set
+//                         shots (fries per volley) and spread (radians
+//                         between them), add damage and lower the cooldown
+//                         (ticks between volleys). Picking it up again raises
+//                         the tier, so tiered types always stack.
+//   apply(player)       - runs on every pickup, after the timer is set
+//   expire(player)      - runs when a timed powerup runs out
+function registerPowerupType(definition) {
+  const type = Object.assign({
+    label: definition.name,
+    description: "",
+    summary: "",
+    color: [255, 255, 255],
+    colorblindColor: null,
+    icon: definition.name,
+    weight: 0,
+    duration: null,
+    stacking: 'refresh',
+    maxDuration: Infinity,
+    maxStacks: 1,
+    tiers: null,
+    apply: null,
+    expire: null
+  }, definition);
+  
+  if (!POWERUP_ICONS[type.icon]) {
+    throw new Error(`Powerup type ${type.name} uses unknown icon: ${type.icon}`);
+  }
+  if (!['refresh', 'extend', 'stack'].includes(type.stacking)) {
+    throw new Error(`Powerup type ${type.name} has unknown stacking rule: ${type.stacking}`);
+  }
+  
+  if (type.tiers) {
+    type.stacking = 'stack';
+    type.maxStacks = type.tiers.length;
+  }
+  
+  if (!type.colorblindColor) {
+    type.colorblindColor = type.color;
+  }
+  const twin = Object.values(POWERUP_TYPES).find(other =>
+    other.name !== type.name && other.colorblindColor.join() === type.colorblindColor.join());
+  if (twin) {
+    throw new Error(`Powerup type ${type.name} has the same colorblind color as ${twin.name}`);
+  }
+  
+  POWERUP_TYPES[type.name] = type;
+  return type;
+}
+
+// Draw a powerup's colored disc and icon at the origin
+function drawPowerupIcon(type, size, baseColor) {
+  fill(baseColor);
+  noStroke();
+  ellipse(0, 0, size);
+  POWERUP_ICONS[type.icon](size);
+}
+
+registerPowerupType({
+  name: 'tripleShot',
+  label: "Triple Shot",
+  description: "Fire a spread of fries! Collect again to upgrade",
+  summary: "Spread of fries, upgrades twice",
+  color: [255, 150, 0],
+  colorblindColor: [230, 159, 0],
+  weight: 0.2,
+  duration: 15 * 60,
+  tiers: [
+    { shots: 3, spread: 0.2 },
+    { shots: 5, spread: 0.2, cooldown: 12 },
+    { shots: 5, spread: 0.3, cooldown: 10, damage: 1 }
+  ]
+});
+
+registerPowerupType({
+  name: 'powerShot',
+  label: "Power Shot",
+  description: "Fries deal extra damage! Collect again to upgrade",
+  summary: "Extra damage, upgrades twice",
+  color: [255, 60, 60],
+  colorblindColor: [140, 60, 0],
+  weight: 0.15,
+  duration: 15 * 60,
+  tiers: [
+    { damage: 1 },
+    { damage: 2, cooldown: 13 },
+    { damage: 3, cooldown: 11 }
+  ]
+});
+
+registerPowerupType({
+  name: 'shield',
+  label: "Shield",
+  description: "Invulnerable. Ram enemies to destroy them!",
+  summary: "Invulnerable, ram enemies",
+  color: [100, 150, 255],
+  colorblindColor: [0, 114, 178],
+  weight: 0.15,
+  duration: 10 * 60,
+  stacking: 'extend',
+  maxDuration: 20 * 60,
+  apply(player) {
+    player.isInvulnerable = true;
+  },
+  expire(player) {
+    player.isInvulnerable = false;
+    player.invulnerabilityTimer = 0;
+    player.game.playSound("shieldBreak");
+  }
+});
+
+registerPowerupType({
+  name: 'speedBoost',
+  label: "Speed Boost",
+  description: "Move 50% faster!",
+  summary: "Move 50% faster",
+  color: [0, 255, 150],
+  colorblindColor: [0, 158, 115],
+  weight: 0.15,
+  duration: 15 * 60
+});
+
+registerPowerupType({
+  name: 'health',
+  label: "Health",
+  description: "Restores 2 health",
+  summary: "Restores 2 health",
+  color: [255, 100, 100],
+  colorblindColor: [213, 94, 0],
+  weight: 0.15,
+  apply(player) {
+    player.health = Math.min(player.maxHealth, player.health + 2);
+  }
+});
+
+registerPowerupType({
+  name: 'extraLife',
+  label: "Extra Life",
+  description: "One more life!",
+  summary: "One more life",
+  color: [255, 50, 200],
+  colorblindColor: [204, 121, 167],
+  weight: 0.04,
+  apply(player) {
+    player.lives = Math.min(5, player.lives + 1);
+  }
+});
+
+registerPowerupType({
+  name: 'homing',
+  label: "Homing Fries",
+  description: "Fries steer toward the nearest enemy!",
+  summary: "Fries steer toward enemies",
+  color: [255, 230, 60],
+  colorblindColor: [240, 228, 66],
+  weight: 0.1,
+  duration: 10 * 60
+});
+
+registerPowerupType({
+  name: 'piercing',
+  label: "Piercing Fries",
+  description: "Fries go through enemies! Stacks 3 times",
+  summary: "Fries pass through enemies",
+  color: [200, 120, 255],
+  colorblindColor: [86, 180, 233],
+  weight: 0.1,
+  duration: 12 * 60,
+  stacking: 'stack',
+  maxStacks: 3
+});
+
+registerPowerupType({
+  name: 'magnet',
+  label: "Magnet",
+  description: "Pulls nearby powerups toward you!",
+  summary: "Pulls nearby powerups in",
+  color: [180, 180, 200],
+  colorblindColor: [153, 153, 153],
+  weight: 0.1,
+  duration: 20 * 60,
+  stacking: 'extend',
+  maxDuration: 40 * 60
+});
+
+registerPowerupType({
+  name: 'slowMo',
+  label: "Slow Motion",
+  description: "Enemies and their shots move at half speed!",
+  summary: "Enemies move at half speed",
+  color: [80, 220, 255],
+  colorblindColor: [0, 70, 120],
+  weight: 0.08,
+  duration: 6 * 60,
+  stacking: 'extend',
+  maxDuration: 12 * 60
+});
+
+registerPowerupType({
+  name: 'bomb',
+  label: "Bomb",
+  description: "Clears the screen!",
+  summary: "Destroys all enemies and shots",
+  color: [255, 120, 40],
+  colorblindColor: [90, 90, 90],
+  weight: 0.05,
+  apply(player) {
+    player.game.detonateBomb();
+  }
+});
+
+registerPowerupType({
+  name: 'grenades',
+  label: "Spud Grenades",
+  description: `+${GRENADE_PICKUP_AMMO} mashed potato grenades!`,
+  summary: `+${GRENADE_PICKUP_AMMO} grenades, up to ${GRENADE_MAX_AMMO}`,
+  color: [225, 200, 140],
+  colorblindColor: [150, 140, 40],
+  weight: 0.1,
+  apply(player) {
+    player.addGrenades(GRENADE_PICKUP_AMMO);
+  }
+});
@@ -1,27 +1,49 @@
+// Homing fries look this far for a target and turn at most this many
+// radians per tick
+const HOMING_RANGE = 350;
+const HOMING_TURN_RATE = 0.12;
+
+// Pooled like particles: reset() sets up a new or recycled projectile
 class Projectile {
-  constructor(x, y, vx = 0, vy = -10) {
+  constructor(game, ...args) {
+    this.game = game;
+    this.pos = new Vector2();
+    this.vel = new Vector2();
+    this.hitTargets = []; // Enemies a piercing fry has already gone through
+    this.reset(...args);
+  }
+  
+  reset(x, y, vx = 0, vy = -10) {
+    const game = this.game;
+    
     // Position and physics
-    this.pos = createVector(x, y);
-    this.vel = createVector(vx, vy);
+    this.pos.set(x, y);
+    this.vel.set(vx, vy);
     this.size = 15;
     this.hitboxSize = this.size * 0.8; // More accurate hitbox size
     this.damage = 1;
-    
-    console.log(`Created projectile at (${x},${y}) with hitboxSize: ${this.hitboxSize}`);
+    this.spent = false; // Set once it hits something
+    this.pierce = 0; // Extra targets it can go through
+    this.homing = false;
+    this.hitTargets.length = 0;
     
     // Visual properties
-    this.rotation = random(TWO_PI); // Random initial rotation
-    this.rotationSpeed = random(-0.1, 0.1); // Random rotation speed
-    this.length = this.size * random(1.5, 2.0); // Vary the length a bit
-    this.width = this.size * random(0.3, 0.5); // Vary the width a bit
+    this.rotation = game.fxRng.random(Math.PI * 2); // Random initial rotation
+    this.rotationSpeed = game.fxRng.random(-0.1, 0.1); // Random rotation speed
+    this.length = this.size * game.fxRng.random(1.5, 2.0); // Vary the length a bit
+    this.width = this.size * game.fxRng.random(0.3, 0.5); // Vary the width a bit
     
     // Color variations
-    this.baseColor = color(255, 220, 100); // Base french fry color
-    this.tipColor = color(200, 150, 50); // Darker tip
-    this.colorVariation = random(0.8, 1.2); // Random color variation
+    this.baseColor = [255, 220, 100]; // Base french fry color
+    this.tipColor = [200, 150, 50]; // Darker tip
+    this.colorVariation = game.fxRng.random(0.8, 1.2); // Random color variation
   }
   
   update() {
+    if (this.homing) {
+      this.steerToTarget();
+    }
+    
     // Update position
     this.pos.add(this.vel);
     
@@ -29,6 +51,31 @@ class Projectile {
     this.rotation += this.rotationSpeed;
   }
   
+  // Turn a little toward the nearest enemy (or the boss) ahead, keeping speed
+  steerToTarget() {
+    const game = this.game;
+    const candidates = game.boss ? game.enemies.concat([game.boss]) : game.enemies;
+    let target = null;
+    let closest = HOMING_RANGE;
+    
+    for (const enemy of candidates) {
+      if (enemy.pos.y > this.pos.y || this.hitTargets.includes(enemy)) continue;
+      const separation = distance(this.pos.x, this.pos.y, enemy.pos.x, enemy.pos.y);
+      if (separation < closest) {
+        closest = separation;
+        target = enemy;
+      }
+    }
+    if (!target) return;
+    
+    const speed = this.vel.mag();
+    const wanted = Math.atan2(target.pos.y - this.pos.y, target.pos.x - this.pos.x);
+    let turn = wanted - this.vel.heading();
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // Shortest way round
+    const heading = this.vel.heading() + clamp(turn, -HOMING_TURN_RATE, HOMING_TURN_RATE);
+    this.vel.set(Math.cos(heading) * speed, Math.sin(heading) * speed);
+  }
+  
   display() {
     push();
     translate(this.pos.x, this.pos.y);
@@ -92,23 +139,23 @@ class Projectile {
     // Check if projectile is off the screen
     return (
       this.pos.x < -this.size || 
-      this.pos.x > width + this.size ||
+      this.pos.x > this.game.width + this.size ||
       this.pos.y < -this.size || 
-      this.pos.y > height + this.size
+      this.pos.y > this.game.height + this.size
     );
   }
   
   // Collision detection
   collidesWith(entity) {
     if (!entity || !entity.hitboxSize) {
-      console.warn('Warning: Entity missing hitboxSize property in collision check');
+      logger.warn('collision', "Entity missing hitboxSize property in collision check");
       return false;
     }
     
     // Simple circle-based collision detection
-    const distance = dist(this.pos.x, this.pos.y, entity.pos.x, entity.pos.y);
+    const separation = distance(this.pos.x, this.pos.y, entity.pos.x, entity.pos.y);
     const combinedRadius = this.hitboxSize / 2 + entity.hitboxSize / 2;
     
-    return distance < combinedRadius;
+    return separation < combinedRadius;
   }
 } 
\ No newline at end of file
@@ -0,0 +1,167 @@
+// Recording of a single run: the seed, the playfield size, the scripted waves
+// and every gameplay input tagged with the simulation tick it was applied on.
+// Feeding the same inputs back through a game started with the same seed
+// reproduces the run.
+
+// Checks on the data each kind of input carries, so a replay can't feed the
+// simulation values it would never have recorded. Actions not listed carry
+// nothing that needs checking.
+const REPLAY_INPUT_CHECKS = {
+  resize: e => Number.isFinite(e.width) && Number.isFinite(e.height) && e.width > 0 && e.height > 0,
+  // Stick axes, each -1 to 1
+  move: e => Number.isFinite(e.x) && Number.isFinite(e.y) && Math.abs(e.x) <= 1 && Math.abs(e.y) <= 1,
+  difficulty: e => isDifficultyPreset(e.preset)
+};
+
+class Replay {
+  constructor(seed, playfieldWidth, playfieldHeight) {
+    this.version = Replay.VERSION;
+    this.seed = seed >>> 0;
+    this.width = playfieldWidth;
+    this.height = playfieldHeight;
+    this.events = [];
+    this.waves = null; // Wave file data the run used, or null for random spawning
+    this.difficulty = 'normal'; // Difficulty preset the run started on
+    this.players = 1; // 2 for a co-op run
+    
+    // Filled in when the run ends
+    this.ticks = 0;
+    this.score = 0;
+    this.level = 1;
+    this.date = new Date().toISOString();
+  }
+  
+  record(tick, input) {
+    this.events.push(Object.assign({ tick: tick }, input));
+  }
+  
+  finish(tick, score, level) {
+    this.ticks = tick;
+    this.score = score;
+    this.level = level;
+  }
+  
+  toJSON() {
+    return {
+      version: this.version,
+      seed: this.seed,
+      width: this.width,
+      height: this.height,
+      ticks: this.ticks,
+      score: this.score,
+      level: this.level,
+      date: this.date,
+      waves: this.waves,
+      difficulty: this.difficulty,
+      players: this.players,
+      events: this.events
+    };
+  }
+  
+  // Rebuild a replay from parsed JSON, throwing if it isn't a usable replay
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error("Replay data is not an object");
+    }
+    if (data.version !== Replay.VERSION) {
+      throw new Error(`Unsupported replay version: ${data.version}`);
+    }
+    if (!Number.isFinite(data.seed) || !Number.isFinite(data.width) || !Number.isFinite(data.height)) {
+      throw new Error("Replay is missing its seed or playfield size");
+    }
+    if (!Array.isArray(data.events) || !data.events.every(e => e && Number.isInteger(e.tick) && typeof e.action === 'string')) {
+      throw new Error("Replay events are malformed");
+    }
+    const bad = data.events.find(e => REPLAY_INPUT_CHECKS[e.action] && !REPLAY_INPUT_CHECKS[e.action](e));
+    if (bad) {
+      throw new Error(`Replay has an invalid ${bad.action} input at tick ${bad.tick}`);
+    }
+    
+    const replay = new Replay(data.seed, data.width, data.height);
+    replay.events = data.events.slice().sort((a, b) => a.tick - b.tick);
+    replay.finish(data.ticks || 0, data.score || 0, data.level || 1);
+    replay.date = data.date || replay.date;
+    replay.waves = data.waves ? WaveDirector.validate(data.waves) : null;
+    
+    if (data.difficulty !== undefined) {
+      if (!isDifficultyPreset(data.difficulty)) {
+        throw new Error(`Unknown difficulty: ${data.difficulty}`);
+      }
+      replay.difficulty = data.difficulty;
+    }
+    if (data.players !== undefined) {
+      if (data.players !== 1 && data.players !== 2) {
+        throw new Error(`Unsupported player count: ${data.players}`);
+      }
+      replay.players = data.players;
+    }
+    return replay;
+  }
+}
+
+Replay.VERSION = 1;
+
+// Playback state for a replay: a cursor into its events plus the
+// play/pause and fast-forward controls
+class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.cursor = 0;
+    this.paused = false;
+    this.finished = false;
+    this.speeds = [1, 2, 4, 8];
+    this.speedIndex = 0;
+  }
+  
+  get speed() {
+    return this.speeds[this.speedIndex];
+  }
+  
+  // Events to apply before simulating the given tick
+  nextEvents(tick) {
+    const events = [];
+    const all = this.replay.events;
+    while (this.cursor < all.length && all[this.cursor].tick <= tick) {
+      events.push(all[this.cursor]);
+      this.cursor++;
+    }
+    return events;
+  }
+  
+  togglePause() {
+    this.paused = !this.paused;
+  }
+  
+  cycleSpeed() {
+    this.speedIndex = (this.speedIndex + 1) % this.speeds.length;
+  }
+  
+  progress(tick) {
+    return this.replay.ticks > 0 ? Math.min(1, tick / this.replay.ticks) : 0;
+  }
+}
+
+// Ask the user for a replay file and pass the parsed Replay to the callback
+function pickReplayFile(callback) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', () => {
+    if (input.files.length > 0) {
+      readReplayFile(input.files[0], callback);
+    }
+  });
+  input.click();
+}
+
+function readReplayFile(file, callback) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      callback(Replay.fromJSON(JSON.parse(reader.result)));
+    } catch (e) {
+      logger.warn('replay', "Could not load replay:", e);
+    }
+  };
+  reader.readAsText(file);
+}
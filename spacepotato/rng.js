@@ -0,0 +1,54 @@
+// Seedable pseudo-random number generator (mulberry32).
+// The random() method mirrors the signatures of p5's global random() so
+// gameplay code can use it as a drop-in replacement.
+class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.setSeed(seed);
+  }
+  
+  setSeed(seed) {
+    // Keep seeds as unsigned 32-bit integers
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+  
+  // Returns a float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  // random() -> [0, 1), random(max) -> [0, max),
+  // random(min, max) -> [min, max), random(array) -> random element
+  random(min, max) {
+    const rand = this.next();
+    
+    if (min === undefined) {
+      return rand;
+    }
+    
+    if (Array.isArray(min)) {
+      return min[Math.floor(rand * min.length)];
+    }
+    
+    if (max === undefined) {
+      return rand * min;
+    }
+    
+    if (min > max) {
+      const tmp = min;
+      min = max;
+      max = tmp;
+    }
+    
+    return min + rand * (max - min);
+  }
+  
+  // Pick a fresh seed for a new run
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+}
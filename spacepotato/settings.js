@@ -0,0 +1,114 @@
+// Player-facing options, saved between sessions.
+//
+// Each option cycles through a fixed list of values from the settings screen.
+// Volume lives in the SoundManager, which saves it separately.
+const SETTINGS_OPTIONS = [
+  { key: 'screenShake', label: "SCREEN SHAKE", values: ['off', 'low', 'normal', 'high'], default: 'normal' },
+  { key: 'particles', label: "PARTICLES", values: ['low', 'medium', 'high'], default: 'high' },
+  { key: 'showFps', label: "FPS COUNTER", values: [false, true], default: false },
+  { key: 'showPools', label: "POOL COUNTER", values: [false, true], default: false },
+  { key: 'palette', label: "PALETTE", values: ['standard', 'colorblind'], default: 'standard' },
+  { key: 'difficulty', label: "DIFFICULTY", values: ['easy', 'normal', 'hard'], default: 'normal' },
+  { key: 'autoFire', label: "AUTO-FIRE", values: [false, true], default: false }
+];
+
+// Multipliers for each screen shake and particle density setting
+const SCREEN_SHAKE_SCALES = { off: 0, low: 0.5, normal: 1, high: 1.5 };
+const PARTICLE_DENSITIES = { low: 0.35, medium: 0.65, high: 1 };
+
+// Gameplay tuning for each difficulty. spawnInterval and enemySpeed multiply
+// the normal values; lives is the number of lives a run starts with.
+const DIFFICULTY_PRESETS = {
+  easy: { spawnInterval: 1.4, enemySpeed: 0.8, lives: 4 },
+  normal: { spawnInterval: 1, enemySpeed: 1, lives: 2 },
+  hard: { spawnInterval: 0.75, enemySpeed: 1.2, lives: 1 }
+};
+
+// Whether a name is one of the presets above (and not something inherited,
+// like "toString")
+function isDifficultyPreset(name) {
+  return Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, name);
+}
+
+class Settings {
+  constructor(storage) {
+    this.storage = storage;
+    this.values = {};
+    
+    for (const option of SETTINGS_OPTIONS) {
+      this.values[option.key] = option.default;
+    }
+    this.load();
+  }
+  
+  get(key) {
+    return this.values[key];
+  }
+  
+  set(key, value) {
+    const option = Settings.getOption(key);
+    if (!option || !option.values.includes(value)) {
+      logger.warn('settings', `Invalid setting: ${key} = ${value}`);
+      return;
+    }
+    
+    this.values[key] = value;
+    this.save();
+  }
+  
+  // Step an option to its next (direction 1) or previous (-1) value
+  cycle(key, direction) {
+    const values = Settings.getOption(key).values;
+    const index = values.indexOf(this.values[key]);
+    this.set(key, values[(index + direction + values.length) % values.length]);
+    return this.values[key];
+  }
+  
+  // Text shown for an option's current value
+  getLabel(key) {
+    const value = this.values[key];
+    if (value === true) return "ON";
+    if (value === false) return "OFF";
+    return value.toUpperCase();
+  }
+  
+  getShakeScale() {
+    return SCREEN_SHAKE_SCALES[this.values.screenShake];
+  }
+  
+  getParticleDensity() {
+    return PARTICLE_DENSITIES[this.values.particles];
+  }
+  
+  load() {
+    if (!this.storage) return;
+    
+    try {
+      const saved = JSON.parse(this.storage.getItem('spacePotatoSettings'));
+      if (!saved) return;
+      
+      // Keep only known options with valid values
+      for (const option of SETTINGS_OPTIONS) {
+        if (option.values.includes(saved[option.key])) {
+          this.values[option.key] = saved[option.key];
+        }
+      }
+    } catch (e) {
+      logger.warn('storage', "Error loading settings:", e);
+    }
+  }
+  
+  save() {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem('spacePotatoSettings', JSON.stringify(this.values));
+    } catch (e) {
+      logger.warn('storage', "Error saving settings:", e);
+    }
+  }
+  
+  static getOption(key) {
+    return SETTINGS_OPTIONS.find(option => option.key === key);
+  }
+}
@@ -1,8 +1,6 @@
 // Global variables
 let game;
 let canvas;
-let screenShake = 0;
-let shakeAmount = 0;
 // Declare noise variable globally to avoid initialization issues
 let noise;
 
@@ -12,8 +10,28 @@ function setup() {
                        windowHeight > 800 ? 800 : windowHeight - 20);
   frameRate(60);
   
-  // Initialize game controller
-  game = new Game();
+  // Online leaderboard server from the URL, e.g. index.html?leaderboard=http://localhost:8787
+  const params = getURLParams();
+  
+  // More logging from the URL, e.g. index.html?log=debug or ?log=warn,enemy:debug
+  if (params.log) {
+    logger.configure(decodeURIComponent(params.log));
+  }
+  const leaderboardUrl = params.leaderboard ? decodeURIComponent(params.leaderboard) : null;
+  
+  // Initialize game controller with a playfield matching the canvas
+  game = new Game({ width: width, height: height, leaderboardUrl: leaderboardUrl });
+  
+  // Allow a fixed seed via the URL (e.g. index.html?seed=1234) to reproduce runs
+  if (params.seed !== undefined && !isNaN(parseInt(params.seed, 10))) {
+    game.fixedSeed = parseInt(params.seed, 10) >>> 0;
+  }
+  
+  // Scripted waves; runs fall back to random spawning if these can't be loaded
+  fetch('waves.json')
+    .then(response => response.json())
+    .then(data => game.setWaves(data))
+    .catch(e => logger.warn('waves', "Could not load waves.json:", e));
   
   // Initialize noise function to avoid the initialization error
   noise = (x, y, z) => {
@@ -25,6 +43,26 @@ function setup() {
   document.addEventListener('click', startAudioIfNeeded);
   document.addEventListener('keydown', startAudioIfNeeded);
   
+  // Drop a replay file onto the game to watch it
+  canvas.elt.addEventListener('dragover', (e) => {
+    e.preventDefault();
+  });
+  canvas.elt.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const canWatch = game.gameState === game.GAME_START || game.gameState === game.GAME_OVER;
+    if (canWatch && e.dataTransfer.files.length > 0) {
+      readReplayFile(e.dataTransfer.files[0], replay => game.startReplay(replay));
+    }
+  });
+  
+  // Pause a run when the player switches to another window or tab
+  window.addEventListener('blur', () => game.autoPause());
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      game.autoPause();
+    }
+  });
+  
   // Disable right-click context menu
   canvas.elt.addEventListener('contextmenu', (e) => {
     e.preventDefault();
@@ -39,27 +77,38 @@ function startAudioIfNeeded() {
 }
 
 function draw() {
-  // Apply screen shake effect
-  if (screenShake > 0) {
-    translate(random(-shakeAmount, shakeAmount), random(-shakeAmount, shakeAmount));
-    screenShake--;
+  if (!game) return;
+  
+  // Keep the canvas the same size as the playfield (replays may change it)
+  if (width !== game.width || height !== game.height) {
+    resizeCanvas(game.width, game.height);
   }
   
-  // Update and draw game
-  if (game) {
-    game.update();
-    game.display();
+  // Apply screen shake effect, scaled by the screen shake setting
+  if (game.screenShake > 0) {
+    const shake = game.shakeAmount * game.settings.getShakeScale();
+    translate(random(-shake, shake), random(-shake, shake));
+    game.screenShake--;
   }
+  
+  // Update and draw game
+  game.update(deltaTime);
+  game.display();
 }
 
 function windowResized() {
+  // Replays keep the playfield size they were recorded at
+  if (game && game.isReplaying()) {
+    return;
+  }
+  
   // Make canvas responsive
   resizeCanvas(windowWidth > 1200 ? 1200 : windowWidth - 20, 
               windowHeight > 800 ? 800 : windowHeight - 20);
   
   // Check if game exists before calling methods
   if (game) {
-    game.updateBoundaries();
+    game.resizePlayfield(width, height);
   }
 }
 
@@ -69,15 +118,38 @@ function mousePressed() {
   }
 }
 
-function keyPressed() {
+function mouseReleased() {
+  if (game) {
+    game.mouseReleased();
+  }
+}
+
+// Touches switch on touch mode. Menus treat taps like clicks; in-game touches
+// are read each frame by the on-screen controls.
+function touchStarted() {
+  if (!game) return;
+  
+  game.enableTouch();
+  game.startAudioContext();
+  if (game.gameState !== game.GAME_PLAYING) {
+    game.mousePressed();
+  }
+  return false; // No emulated mouse events or page scrolling
+}
+
+function touchMoved() {
+  return false;
+}
+
+function keyPressed(event) {
   if (game) {
-    game.keyPressed();
+    return game.keyPressed(event);
   }
 }
 
-function keyReleased() {
+function keyReleased(event) {
   if (game) {
-    game.keyReleased();
+    game.keyReleased(event);
   }
 }
 
@@ -86,10 +158,4 @@ function keyTyped() {
     game.keyTyped();
   }
   return false; // Prevent default browser behavior
-}
-
-// Utility function to trigger screen shake
-function applyScreenShake(intensity, duration) {
-  screenShake = duration;
-  shakeAmount = intensity;
 } 
\ No newline at end of file
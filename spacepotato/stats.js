@@ -0,0 +1,180 @@
+// Statistics for the current run and lifetime totals across runs.
+
+// Counters for one run. Kills, damage and powerups are broken down by enemy
+// type, damage source and powerup type.
+class RunStats {
+  constructor() {
+    this.shotsFired = 0;
+    this.shotsHit = 0;
+    this.kills = {}; // By enemy type ('boss' for bosses)
+    this.damageTaken = {}; // By source: enemy type for rams, 'projectile' or 'boss'
+    this.powerups = {}; // By powerup type
+    this.ticks = 0; // Time survived, in simulation ticks
+    this.highestLevel = 1;
+  }
+  
+  recordShots(count) {
+    this.shotsFired += count;
+  }
+  
+  recordHit() {
+    this.shotsHit++;
+  }
+  
+  recordKill(type) {
+    this.kills[type] = (this.kills[type] || 0) + 1;
+  }
+  
+  recordDamage(source, amount) {
+    this.damageTaken[source] = (this.damageTaken[source] || 0) + amount;
+  }
+  
+  recordPowerup(type) {
+    this.powerups[type] = (this.powerups[type] || 0) + 1;
+  }
+  
+  // Called every tick with the game's tick and level
+  update(tick, level) {
+    this.ticks = tick;
+    this.highestLevel = Math.max(this.highestLevel, level);
+  }
+  
+  // Fraction of shots that hit, or null before the first shot
+  get accuracy() {
+    return this.shotsFired > 0 ? this.shotsHit / this.shotsFired : null;
+  }
+  
+  get totalKills() {
+    return RunStats.sum(this.kills);
+  }
+  
+  get totalDamage() {
+    return RunStats.sum(this.damageTaken);
+  }
+  
+  get totalPowerups() {
+    return RunStats.sum(this.powerups);
+  }
+  
+  // Whole seconds survived at 60 ticks per second
+  get seconds() {
+    return Math.floor(this.ticks / 60);
+  }
+  
+  static sum(counts) {
+    return Object.values(counts).reduce((total, n) => total + n, 0);
+  }
+}
+
+// Personal bests, each the highest value seen in any run
+const PERSONAL_BEST_KEYS = ['score', 'seconds', 'level', 'kills', 'accuracy', 'powerups'];
+
+// Totals over every finished run plus personal bests, saved between sessions
+class LifetimeStats {
+  constructor(storage) {
+    this.storage = storage;
+    this.totals = LifetimeStats.emptyTotals();
+    this.bests = {};
+    for (const key of PERSONAL_BEST_KEYS) {
+      this.bests[key] = null;
+    }
+    this.load();
+  }
+  
+  // Fold a finished run in. Returns the personal bests from before this run,
+  // for comparing against.
+  addRun(stats, score) {
+    const previousBests = Object.assign({}, this.bests);
+    const totals = this.totals;
+    
+    totals.runs++;
+    totals.score += score;
+    totals.shotsFired += stats.shotsFired;
+    totals.shotsHit += stats.shotsHit;
+    totals.ticks += stats.ticks;
+    LifetimeStats.addCounts(totals.kills, stats.kills);
+    LifetimeStats.addCounts(totals.damageTaken, stats.damageTaken);
+    LifetimeStats.addCounts(totals.powerups, stats.powerups);
+    
+    const run = LifetimeStats.runValues(stats, score);
+    for (const key of PERSONAL_BEST_KEYS) {
+      if (run[key] !== null && (this.bests[key] === null || run[key] > this.bests[key])) {
+        this.bests[key] = run[key];
+      }
+    }
+    
+    this.save();
+    return previousBests;
+  }
+  
+  load() {
+    if (!this.storage) return;
+    
+    try {
+      const saved = JSON.parse(this.storage.getItem('spacePotatoLifetimeStats'));
+      if (!saved) return;
+      
+      // Keep only numbers and count tables that look right
+      const totals = this.totals;
+      for (const key in totals) {
+        const value = saved.totals && saved.totals[key];
+        if (typeof totals[key] === 'number' && Number.isFinite(value)) {
+          totals[key] = value;
+        } else if (typeof totals[key] === 'object' && value && typeof value === 'object') {
+          LifetimeStats.addCounts(totals[key], value);
+        }
+      }
+      for (const key of PERSONAL_BEST_KEYS) {
+        if (saved.bests && Number.isFinite(saved.bests[key])) {
+          this.bests[key] = saved.bests[key];
+        }
+      }
+    } catch (e) {
+      logger.warn('storage', "Error loading lifetime stats:", e);
+    }
+  }
+  
+  save() {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem('spacePotatoLifetimeStats', JSON.stringify({ totals: this.totals, bests: this.bests }));
+    } catch (e) {
+      logger.warn('storage', "Error saving lifetime stats:", e);
+    }
+  }
+  
+  // A run's value for each personal best
+  static runValues(stats, score) {
+    return {
+      score: score,
+      seconds: stats.seconds,
+      level: stats.highestLevel,
+      kills: stats.totalKills,
+      accuracy: stats.accuracy,
+      powerups: stats.totalPowerups
+    };
+  }
+  
+  static emptyTotals() {
+    return {
+      runs: 0,
+      score: 0,
+      shotsFired: 0,
+      shotsHit: 0,
+      ticks: 0,
+      kills: {},
+      damageTaken: {},
+      powerups: {}
+    };
+  }
+  
+  // Add one count table into another, ignoring anything that isn't a number
+  static addCounts(target, counts) {
+    for (const key in counts) {
+      if (Number.isFinite(counts[key])) {
+        target[key] = (target[key] || 0) + counts[key];
+      }
+    }
+  }
+}
@@ -0,0 +1,142 @@
+// On-screen controls for touch screens: a floating joystick anywhere on the
+// left half, and fire, grenade, auto-fire and pause buttons on the right.
+// Auto-fire itself is a game setting; this only reports taps on its button.
+//
+// Reads p5's touches list once per frame and tracks each finger by id, so
+// moving and firing work at the same time.
+class TouchControls {
+  constructor() {
+    this.enabled = false; // Turned on by the first touch
+    
+    // Joystick follows the finger that started it
+    this.joystickId = null;
+    this.joystickBase = new Vector2(0, 0);
+    this.joystickKnob = new Vector2(0, 0);
+    this.joystickRadius = 60;
+    this.stick = new Vector2(0, 0); // -1 to 1 on each axis
+    
+    this.fireId = null; // Finger holding the fire button
+    this.knownIds = new Set();
+  }
+  
+  get firing() {
+    return this.fireId !== null;
+  }
+  
+  // Button positions for the current canvas size
+  getFireButton() {
+    return { x: width - 90, y: height - 110, r: 55 };
+  }
+  
+  getGrenadeButton() {
+    return { x: width - 200, y: height - 145, r: 32 };
+  }
+  
+  getAutoFireButton() {
+    return { x: width - 200, y: height - 55, r: 32 };
+  }
+  
+  getPauseButton() {
+    return { x: width - 30, y: 75, r: 18 };
+  }
+  
+  // Process this frame's touches. Returns the names of buttons tapped this
+  // frame ('special', 'autoFire', 'pause').
+  update(touchList) {
+    const ids = new Set(touchList.map(t => t.id));
+    const taps = [];
+    
+    // Fingers that lifted
+    if (this.joystickId !== null && !ids.has(this.joystickId)) {
+      this.joystickId = null;
+      this.stick.set(0, 0);
+    }
+    if (this.fireId !== null && !ids.has(this.fireId)) {
+      this.fireId = null;
+    }
+    
+    for (const t of touchList) {
+      if (this.knownIds.has(t.id)) {
+        if (t.id === this.joystickId) {
+          this.moveJoystick(t.x, t.y);
+        }
+        continue;
+      }
+      
+      // A new finger: whatever it landed on
+      if (TouchControls.inside(t, this.getFireButton())) {
+        this.fireId = t.id;
+      } else if (TouchControls.inside(t, this.getGrenadeButton())) {
+        taps.push('special');
+      } else if (TouchControls.inside(t, this.getAutoFireButton())) {
+        taps.push('autoFire');
+      } else if (TouchControls.inside(t, this.getPauseButton())) {
+        taps.push('pause');
+      } else if (t.x < width / 2 && this.joystickId === null) {
+        // The joystick appears wherever the thumb lands
+        this.joystickId = t.id;
+        this.joystickBase.set(t.x, t.y);
+        this.moveJoystick(t.x, t.y);
+      }
+    }
+    
+    this.knownIds = ids;
+    return taps;
+  }
+  
+  moveJoystick(x, y) {
+    const offset = new Vector2(x - this.joystickBase.x, y - this.joystickBase.y).limit(this.joystickRadius);
+    this.joystickKnob.set(this.joystickBase.x + offset.x, this.joystickBase.y + offset.y);
+    this.stick.set(offset.x / this.joystickRadius, offset.y / this.joystickRadius);
+  }
+  
+  // grenades is the ammo shown on the grenade button
+  display(autoFire, grenades) {
+    push();
+    noStroke();
+    
+    // Joystick, only while a thumb is on it
+    if (this.joystickId !== null) {
+      fill(255, 255, 255, 40);
+      ellipse(this.joystickBase.x, this.joystickBase.y, this.joystickRadius * 2);
+      fill(255, 255, 255, 120);
+      ellipse(this.joystickKnob.x, this.joystickKnob.y, 50);
+    }
+    
+    // Fire button
+    const fire = this.getFireButton();
+    fill(255, 120, 50, this.firing || autoFire ? 170 : 90);
+    ellipse(fire.x, fire.y, fire.r * 2);
+    
+    // Grenade button, dim when out of ammo
+    const grenade = this.getGrenadeButton();
+    fill(240, 225, 180, grenades > 0 ? 150 : 50);
+    ellipse(grenade.x, grenade.y, grenade.r * 2);
+    
+    // Auto-fire toggle
+    const auto = this.getAutoFireButton();
+    fill(autoFire ? color(100, 220, 100, 170) : color(255, 255, 255, 60));
+    ellipse(auto.x, auto.y, auto.r * 2);
+    
+    // Pause button
+    const pause = this.getPauseButton();
+    fill(60, 100, 150, 200);
+    ellipse(pause.x, pause.y, pause.r * 2);
+    
+    fill(255);
+    textAlign(CENTER, CENTER);
+    textSize(18);
+    text("FIRE", fire.x, fire.y);
+    textSize(12);
+    text("AUTO", auto.x, auto.y);
+    text(`NADE ${grenades}`, grenade.x, grenade.y);
+    rect(pause.x - 6, pause.y - 7, 4, 14);
+    rect(pause.x + 2, pause.y - 7, 4, 14);
+    
+    pop();
+  }
+  
+  static inside(point, button) {
+    return distance(point.x, point.y, button.x, button.y) < button.r;
+  }
+}
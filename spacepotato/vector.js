@@ -0,0 +1,97 @@
+// 2D vector and math helpers used by the simulation.
+// These deliberately avoid p5 so gameplay code can also run headless under Node;
+// the API mirrors the parts of p5.Vector the game uses.
+class Vector2 {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+  
+  set(x, y) {
+    if (x instanceof Vector2) {
+      this.x = x.x;
+      this.y = x.y;
+    } else {
+      this.x = x;
+      this.y = y;
+    }
+    return this;
+  }
+  
+  copy() {
+    return new Vector2(this.x, this.y);
+  }
+  
+  add(x, y) {
+    if (x instanceof Vector2) {
+      this.x += x.x;
+      this.y += x.y;
+    } else {
+      this.x += x;
+      this.y += y;
+    }
+    return this;
+  }
+  
+  sub(x, y) {
+    if (x instanceof Vector2) {
+      this.x -= x.x;
+      this.y -= x.y;
+    } else {
+      this.x -= x;
+      this.y -= y;
+    }
+    return this;
+  }
+  
+  mult(n) {
+    this.x *= n;
+    this.y *= n;
+    return this;
+  }
+  
+  mag() {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+  
+  normalize() {
+    const len = this.mag();
+    if (len !== 0) {
+      this.mult(1 / len);
+    }
+    return this;
+  }
+  
+  limit(max) {
+    const lenSq = this.x * this.x + this.y * this.y;
+    if (lenSq > max * max) {
+      this.mult(max / Math.sqrt(lenSq));
+    }
+    return this;
+  }
+  
+  heading() {
+    return Math.atan2(this.y, this.x);
+  }
+  
+  static sub(a, b) {
+    return new Vector2(a.x - b.x, a.y - b.y);
+  }
+  
+  static fromAngle(angle, length = 1) {
+    return new Vector2(Math.cos(angle) * length, Math.sin(angle) * length);
+  }
+}
+
+// Equivalents of p5's dist(), constrain() and map()
+function distance(x1, y1, x2, y2) {
+  return Math.hypot(x2 - x1, y2 - y1);
+}
+
+function clamp(value, low, high) {
+  return Math.max(low, Math.min(high, value));
+}
+
+function mapRange(value, start1, stop1, start2, stop2) {
+  return start2 + (stop2 - start2) * ((value - start1) / (stop1 - start1));
+}
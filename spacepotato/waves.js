@@ -0,0 +1,215 @@
+// Scripted wave system.
+//
+// Waves are authored in JSON (see waves.json):
+//
+//   { "version": 1, "waves": [
+//       { "name": "Opening", "groups": [
+//           { "type": "basic", "count": 3, "entry": 0.5, "path": "column", "delay": 0, "spacing": 30 }
+//       ] }
+//   ] }
+//
+// Group fields:
+//   type    - enemy type name from the enemy registry
+//   count   - number of enemies in the group (default 1)
+//   entry   - x position of the entry point as a fraction of the playfield
+//             width (0 = left edge, 1 = right edge), or "random"
+//   path    - entry path: "straight", "column", "swoop" or "vFormation"
+//   delay   - ticks after the wave starts before the group appears
+//   spacing - ticks between group members for column and swoop (default 30)
+//   side    - swoop direction, 1 for rightwards or -1 for leftwards
+//             (default: away from the nearest edge)
+//
+// The WaveDirector plays the waves in order, moving on once a wave's enemies
+// are gone, and hands over to the random spawner when it runs out of waves.
+
+// Entry paths move an enemy along a scripted route from its entry point,
+// after which its normal behavior takes over. Each returns the position for
+// path.elapsed ticks along the path and whether the path is finished.
+const ENTRY_PATHS = {
+  // Spawn and go straight into normal behavior
+  straight(path, game) {
+    return { x: path.originX, y: path.originY, done: true };
+  },
+  
+  // Drop straight down to the upper part of the screen
+  column(path, game) {
+    const targetY = game.height * 0.25;
+    const y = Math.min(targetY, path.originY + path.elapsed * 3);
+    return { x: path.originX, y: y, done: y >= targetY };
+  },
+  
+  // Descend together, keeping the formation offsets
+  vFormation(path, game) {
+    const targetY = game.height * 0.3 + path.offsetY;
+    const y = Math.min(targetY, path.originY + path.elapsed * 2.5);
+    return { x: path.originX, y: y, done: y >= targetY };
+  },
+  
+  // Curve down and across the screen
+  swoop(path, game) {
+    const duration = 150;
+    const progress = Math.min(1, path.elapsed / duration);
+    const x = path.originX + path.side * game.width * 0.4 * (1 - Math.cos(Math.PI * progress)) / 2;
+    const y = path.originY + (game.height * 0.45 - path.originY) * Math.sin(Math.PI / 2 * progress);
+    return { x: x, y: y, done: progress >= 1 };
+  }
+};
+
+class WaveDirector {
+  constructor(game, waveData) {
+    this.game = game;
+    this.waves = waveData.waves;
+    
+    this.waveIndex = -1;
+    this.schedule = []; // Spawns still to come in the current wave, by tick
+    this.waveTimer = 0;
+    this.breakTimer = 90; // Short pause before the first wave
+    this.clearTimeout = 0;
+    this.endless = false;
+  }
+  
+  // Advance one tick. Returns false once the waves have run out and the
+  // random spawner should take over.
+  update() {
+    if (this.endless) return false;
+    
+    // Pause between waves
+    if (this.breakTimer > 0) {
+      this.breakTimer--;
+      if (this.breakTimer === 0) {
+        this.startNextWave();
+      }
+      return !this.endless;
+    }
+    
+    // Spawn everything that's due
+    this.waveTimer++;
+    while (this.schedule.length > 0 && this.schedule[0].tick <= this.waveTimer) {
+      this.spawn(this.schedule.shift());
+    }
+    
+    // Once everything has spawned, wait for the wave to be cleared
+    // (or give up after a while so stragglers can't stall the game)
+    if (this.schedule.length === 0) {
+      this.clearTimeout--;
+      const remaining = this.game.enemies.some(enemy => enemy.wave === this.waveIndex);
+      if (!remaining || this.clearTimeout <= 0) {
+        this.breakTimer = 120;
+      }
+    }
+    
+    return true;
+  }
+  
+  startNextWave() {
+    this.waveIndex++;
+    
+    if (this.waveIndex >= this.waves.length) {
+      this.endless = true;
+      this.game.announce("ENDLESS MODE");
+      return;
+    }
+    
+    const wave = this.waves[this.waveIndex];
+    this.schedule = this.buildSchedule(wave);
+    this.waveTimer = 0;
+    this.clearTimeout = 30 * 60;
+    this.game.announce(`WAVE ${this.waveIndex + 1}${wave.name ? ": " + wave.name : ""}`);
+  }
+  
+  // Expand a wave's groups into individual spawns sorted by tick
+  buildSchedule(wave) {
+    const game = this.game;
+    const schedule = [];
+    
+    for (const group of wave.groups) {
+      const count = group.count || 1;
+      const path = group.path || 'straight';
+      const spacing = group.spacing !== undefined ? group.spacing : 30;
+      const entry = group.entry === 'random' || group.entry === undefined ?
+                    game.rng.random(0.1, 0.9) : group.entry;
+      const side = group.side || (entry < 0.5 ? 1 : -1);
+      
+      for (let i = 0; i < count; i++) {
+        let offsetX = 0;
+        let offsetY = 0;
+        let delay = group.delay || 0;
+        
+        if (path === 'vFormation') {
+          // Leader in front, wingmen alternating left and right behind
+          const rank = Math.ceil(i / 2);
+          offsetX = (i % 2 === 0 ? 1 : -1) * rank * 45;
+          offsetY = -rank * 35;
+        } else if (path !== 'straight') {
+          delay += i * spacing;
+        } else {
+          // Straight entries spread out a little so they don't overlap
+          offsetX = (i - (count - 1) / 2) * 50;
+          delay += i * spacing;
+        }
+        
+        schedule.push({
+          tick: delay,
+          type: group.type,
+          path: path,
+          x: entry * game.width + offsetX,
+          offsetY: offsetY,
+          side: side
+        });
+      }
+    }
+    
+    return schedule.sort((a, b) => a.tick - b.tick);
+  }
+  
+  spawn(spawn) {
+    const game = this.game;
+    const enemy = new Enemy(game, spawn.x, -50 + spawn.offsetY, spawn.type, game.level);
+    enemy.wave = this.waveIndex;
+    enemy.entryPath = {
+      name: spawn.path,
+      elapsed: 0,
+      originX: spawn.x,
+      originY: -50 + spawn.offsetY,
+      offsetY: spawn.offsetY,
+      side: spawn.side
+    };
+    game.enemies.push(enemy);
+  }
+  
+  // Wave label for the HUD
+  getLabel() {
+    if (this.endless) return "ENDLESS";
+    return `WAVE ${Math.max(1, this.waveIndex + 1)}/${this.waves.length}`;
+  }
+  
+  // Check that parsed wave data is usable, throwing an Error if not
+  static validate(data) {
+    if (!data || !Array.isArray(data.waves)) {
+      throw new Error("Wave data needs a waves array");
+    }
+    if (data.version !== 1) {
+      throw new Error(`Unsupported wave file version: ${data.version}`);
+    }
+    
+    data.waves.forEach((wave, waveNumber) => {
+      if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+        throw new Error(`Wave ${waveNumber + 1} has no groups`);
+      }
+      for (const group of wave.groups) {
+        if (!ENEMY_TYPES[group.type]) {
+          throw new Error(`Wave ${waveNumber + 1} uses unknown enemy type: ${group.type}`);
+        }
+        if (group.path !== undefined && !ENTRY_PATHS[group.path]) {
+          throw new Error(`Wave ${waveNumber + 1} uses unknown entry path: ${group.path}`);
+        }
+        if (group.entry !== undefined && group.entry !== 'random' &&
+            !(typeof group.entry === 'number' && group.entry >= 0 && group.entry <= 1)) {
+          throw new Error(`Wave ${waveNumber + 1} has an invalid entry point: ${group.entry}`);
+        }
+      }
+    });
+    
+    return data;
+  }
+}